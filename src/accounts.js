@@ -0,0 +1,97 @@
+/**
+ * Named Papertrail accounts
+ *
+ * Each account has its own API token, base URL, default group and rate
+ * limits (see PAPERTRAIL_ACCOUNTS). Tools take an `account` argument and
+ * fall back to the default account when it is omitted.
+ */
+
+import { config } from './config.js';
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+
+// Upper bound on accounts searched in one call
+const MAX_ACCOUNTS_PER_SEARCH = 10;
+
+/**
+ * Tool input schema property for selecting the account, shared by every tool
+ */
+const ACCOUNT_SCHEMA_PROPERTIES = {
+  account: {
+    type: 'string',
+    description: 'Papertrail account to use, by name (default: the default account). Use list_accounts to see configured accounts.'
+  }
+};
+
+/**
+ * Look up a configured account by name
+ * @param {string} [name] - Account name; the default account when omitted
+ * @returns {Object} { name, apiToken, baseUrl, defaultGroup, rateLimit }
+ */
+function getAccount(name) {
+  const accountName = name ? String(name).trim() : config.defaultAccount;
+  const account = config.accounts[accountName];
+
+  if (!account) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown account "${accountName}". Configured accounts: ${Object.keys(config.accounts).join(', ') || 'none'}.`
+    );
+  }
+
+  return account;
+}
+
+/**
+ * Resolve an account list such as "production, staging" or "*" (every account)
+ * @param {string} [spec] - Comma-separated names, "*", or omitted for the default account
+ * @returns {Array<Object>} Accounts, de-duplicated, in the order given
+ */
+function resolveAccounts(spec) {
+  if (!spec) {
+    return [getAccount()];
+  }
+
+  const names = String(spec).trim() === '*'
+    ? Object.keys(config.accounts)
+    : String(spec).split(',').map(name => name.trim()).filter(Boolean);
+
+  const accounts = [...new Set(names)].map(name => getAccount(name));
+
+  if (accounts.length > MAX_ACCOUNTS_PER_SEARCH) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `At most ${MAX_ACCOUNTS_PER_SEARCH} accounts can be searched at once (got ${accounts.length})`
+    );
+  }
+
+  return accounts.length > 0 ? accounts : [getAccount()];
+}
+
+/**
+ * Describe the configured accounts without their tokens
+ * @returns {Array<Object>} [{ name, isDefault, baseUrl, defaultGroup, rateLimit }]
+ */
+function listAccounts() {
+  return Object.values(config.accounts).map(account => ({
+    name: account.name,
+    isDefault: account.name === config.defaultAccount,
+    baseUrl: account.baseUrl,
+    defaultGroup: account.defaultGroup,
+    rateLimit: { ...account.rateLimit }
+  }));
+}
+
+/**
+ * Format the account a result came from, or '' when only one account is configured
+ */
+function formatAccount(account) {
+  return Object.keys(config.accounts).length > 1 ? `Account: ${account.name}\n` : '';
+}
+
+export {
+  ACCOUNT_SCHEMA_PROPERTIES,
+  getAccount,
+  resolveAccounts,
+  listAccounts,
+  formatAccount
+};
@@ -23,22 +23,75 @@ const config = {
   // Server settings
   server: {
     port: parseInt(getEnv('PORT', '3001'), 10),
-    host: getEnv('HOST', '0.0.0.0')
+    host: getEnv('HOST', '127.0.0.1'),
+    // HTTP sessions without a request for this long are closed (clients may vanish without DELETE)
+    sessionIdleTimeout: parseInt(getEnv('SESSION_IDLE_TIMEOUT_SECONDS', '1800'), 10) * 1000
   },
 
   // Papertrail API settings
   papertrail: {
-    apiToken: getEnv('PAPERTRAIL_API_TOKEN'),
+    // Token of the "default" account; optional when PAPERTRAIL_ACCOUNTS is set
+    apiToken: getEnv('PAPERTRAIL_API_TOKEN', '') || null,
     baseUrl: getEnv('PAPERTRAIL_BASE_URL', 'https://papertrailapp.com/api/v1'),
-    timeout: 30000, // 30 seconds
+    defaultGroup: getEnv('PAPERTRAIL_DEFAULT_GROUP', '') || null,
+    // Per-request deadline for Papertrail API calls
+    timeout: parseInt(getEnv('PAPERTRAIL_TIMEOUT_SECONDS', '30'), 10) * 1000,
     maxRetries: 3
   },
 
+  // Named Papertrail accounts, filled in below from PAPERTRAIL_API_TOKEN and PAPERTRAIL_ACCOUNTS
+  accounts: {},
+  defaultAccount: getEnv('PAPERTRAIL_DEFAULT_ACCOUNT', '') || null,
+
+  // Search defaults
+  search: {
+    // Window searched when no minTime is given, ending at maxTime (e.g. 1h, 7d, 30d)
+    defaultWindow: getEnv('SEARCH_DEFAULT_WINDOW', '30d'),
+    // Timezone for calendar expressions like "yesterday" or "today 09:00"
+    timezone: getEnv('DEFAULT_TIMEZONE', 'UTC')
+  },
+
   // MCP server settings
   mcp: {
     name: getEnv('MCP_SERVER_NAME', 'papertrail-mcp'),
     version: getEnv('MCP_SERVER_VERSION', '1.0.0'),
-    transport: 'sse' // Server-sent events
+    // 'http' serves Streamable HTTP (/mcp) and legacy SSE (/sse) on PORT; 'stdio' uses stdin/stdout.
+    // 'sse' is accepted as an alias of 'http'.
+    transport: getEnv('MCP_TRANSPORT', 'stdio'),
+    // Include request/response diagnostics in tool results unless a call sets verbose: false
+    debugToolOutput: getEnv('DEBUG_TOOL_OUTPUT', 'false') === 'true',
+    // Deadline for a whole tool call, retries and paging included (tail_logs adds its duration)
+    toolTimeout: parseInt(getEnv('TOOL_TIMEOUT_SECONDS', '120'), 10) * 1000
+  },
+
+  // Redaction of sensitive data in log events returned by tools
+  redaction: {
+    enabled: getEnv('REDACTION_ENABLED', 'true') !== 'false',
+    // Comma-separated built-in detectors (see redactor.js)
+    detectors: getEnv('REDACTION_DETECTORS', 'email,credit_card,bearer_token,jwt,password,api_key')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    // JSON array of extra patterns: ["regex", ...] or [{ "name": "...", "pattern": "...", "flags": "i" }]
+    customPatterns: getEnv('REDACTION_PATTERNS', '')
+  },
+
+  // Request/trace ID correlation (trace_request)
+  correlation: {
+    // JSON array of regexes whose first capture group is an ID to follow; empty uses the built-in ones
+    idPatterns: getEnv('CORRELATION_ID_PATTERNS', '')
+  },
+
+  // Response cache for Papertrail API calls
+  cache: {
+    enabled: getEnv('CACHE_ENABLED', 'true') !== 'false',
+    // Searches whose window ended a while ago (their results no longer change)
+    historicalTtl: parseInt(getEnv('CACHE_HISTORICAL_TTL_SECONDS', '600'), 10) * 1000,
+    // Searches whose window reaches now
+    liveTtl: parseInt(getEnv('CACHE_LIVE_TTL_SECONDS', '15'), 10) * 1000,
+    // System and group lists
+    listTtl: parseInt(getEnv('CACHE_LIST_TTL_SECONDS', '60'), 10) * 1000,
+    maxBytes: parseInt(getEnv('CACHE_MAX_MB', '50'), 10) * 1024 * 1024
   },
 
   // Rate limiting
@@ -47,31 +100,220 @@ const config = {
     burst: parseInt(getEnv('RATE_LIMIT_BURST', '10'), 10)
   },
 
-  // Logging
+  // Logging (always stderr or LOG_FILE; stdout is reserved for the stdio transport)
   logging: {
     level: getEnv('LOG_LEVEL', 'info'),
-    format: getEnv('LOG_FORMAT', 'json')
+    format: getEnv('LOG_FORMAT', 'json'),
+    file: getEnv('LOG_FILE', '') || null
   }
 };
 
+/**
+ * Build the named accounts: "default" from PAPERTRAIL_API_TOKEN/PAPERTRAIL_BASE_URL,
+ * plus the accounts in PAPERTRAIL_ACCOUNTS, a JSON object such as
+ *   { "production": { "tokenEnv": "PT_PROD_TOKEN", "defaultGroup": "Web",
+ *                     "rateLimit": { "requestsPerMinute": 30, "burst": 5 } },
+ *     "legacy": { "token": "...", "baseUrl": "https://papertrailapp.com/api/v1" } }
+ * @returns {Object} name -> { name, apiToken, baseUrl, defaultGroup, rateLimit }
+ */
+function parseAccounts(raw) {
+  const accounts = {};
+  const account = (name, definition) => ({
+    name,
+    apiToken: definition.apiToken,
+    baseUrl: definition.baseUrl || config.papertrail.baseUrl,
+    defaultGroup: definition.defaultGroup || null,
+    rateLimit: {
+      requestsPerMinute: definition.rateLimit?.requestsPerMinute || config.rateLimit.requestsPerMinute,
+      burst: definition.rateLimit?.burst || config.rateLimit.burst
+    }
+  });
+
+  if (config.papertrail.apiToken) {
+    accounts.default = account('default', {
+      apiToken: config.papertrail.apiToken,
+      defaultGroup: config.papertrail.defaultGroup
+    });
+  }
+
+  if (!raw) {
+    return accounts;
+  }
+
+  const entries = JSON.parse(raw);
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error('PAPERTRAIL_ACCOUNTS must be a JSON object of account name -> settings');
+  }
+
+  for (const [name, definition] of Object.entries(entries)) {
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+      throw new Error(`Account name "${name}" may only contain letters, digits, "-" and "_"`);
+    }
+
+    const apiToken = definition?.token || (definition?.tokenEnv && process.env[definition.tokenEnv]);
+    if (!apiToken) {
+      throw new Error(`Account "${name}" has no token (set "token", or "tokenEnv" to a variable that is set)`);
+    }
+
+    accounts[name] = account(name, { ...definition, apiToken });
+  }
+
+  return accounts;
+}
+
+// Invalid PAPERTRAIL_ACCOUNTS is reported by validateConfig rather than at import
+let accountsError = null;
+try {
+  config.accounts = parseAccounts(getEnv('PAPERTRAIL_ACCOUNTS', ''));
+} catch (error) {
+  accountsError = error;
+}
+config.defaultAccount = config.defaultAccount ||
+  (config.accounts.default ? 'default' : Object.keys(config.accounts)[0] || null);
+
+/**
+ * Transports accepted by MCP_TRANSPORT
+ */
+const SUPPORTED_TRANSPORTS = ['http', 'sse', 'stdio'];
+
+/**
+ * Values accepted by LOG_LEVEL and LOG_FORMAT
+ */
+const SUPPORTED_LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const SUPPORTED_LOG_FORMATS = ['json', 'pretty'];
+
+/**
+ * Parse REDACTION_PATTERNS into named pattern definitions
+ * @param {string} raw - JSON array of regex strings or { name, pattern, flags } objects
+ * @returns {Array<Object>} [{ name, pattern, flags }]
+ */
+function parseRedactionPatterns(raw) {
+  if (!raw) {
+    return [];
+  }
+
+  const entries = JSON.parse(raw);
+  if (!Array.isArray(entries)) {
+    throw new Error('REDACTION_PATTERNS must be a JSON array');
+  }
+
+  return entries.map((entry, index) => {
+    const definition = typeof entry === 'string' ? { pattern: entry } : entry;
+    if (!definition || typeof definition.pattern !== 'string') {
+      throw new Error(`REDACTION_PATTERNS[${index}] must be a regex string or an object with a "pattern"`);
+    }
+
+    const flags = definition.flags || '';
+    // Validate now so a bad pattern fails at startup, not on the first search
+    new RegExp(definition.pattern, flags);
+
+    return {
+      name: definition.name || `custom_${index + 1}`,
+      pattern: definition.pattern,
+      flags
+    };
+  });
+}
+
+/**
+ * Parse CORRELATION_ID_PATTERNS into regexes
+ * @param {string} raw - JSON array of regex strings
+ * @returns {Array<RegExp>} Global regexes; empty when raw is empty
+ */
+function parseCorrelationPatterns(raw) {
+  if (!raw) {
+    return [];
+  }
+
+  const entries = JSON.parse(raw);
+  if (!Array.isArray(entries) || !entries.every(entry => typeof entry === 'string')) {
+    throw new Error('CORRELATION_ID_PATTERNS must be a JSON array of regex strings');
+  }
+
+  return entries.map(pattern => new RegExp(pattern, 'g'));
+}
+
 /**
  * Validate configuration on startup
  */
 function validateConfig() {
-  if (!config.papertrail.apiToken) {
-    throw new Error('PAPERTRAIL_API_TOKEN is required');
+  if (accountsError) {
+    throw new Error(`Invalid PAPERTRAIL_ACCOUNTS: ${accountsError.message}`);
+  }
+
+  if (Object.keys(config.accounts).length === 0) {
+    throw new Error('PAPERTRAIL_API_TOKEN (or PAPERTRAIL_ACCOUNTS) is required');
+  }
+
+  if (!config.accounts[config.defaultAccount]) {
+    throw new Error(`PAPERTRAIL_DEFAULT_ACCOUNT "${config.defaultAccount}" is not a configured account`);
+  }
+
+  for (const account of Object.values(config.accounts)) {
+    if (account.rateLimit.requestsPerMinute < 1 || account.rateLimit.burst < 1) {
+      throw new Error(`Account "${account.name}" rate limits must be at least 1`);
+    }
   }
 
   if (config.server.port < 1 || config.server.port > 65535) {
     throw new Error('PORT must be between 1 and 65535');
   }
 
+  if (!(config.server.sessionIdleTimeout > 0)) {
+    throw new Error('SESSION_IDLE_TIMEOUT_SECONDS must be at least 1');
+  }
+
+  if (!SUPPORTED_TRANSPORTS.includes(config.mcp.transport)) {
+    throw new Error(`MCP_TRANSPORT must be one of: ${SUPPORTED_TRANSPORTS.join(', ')}`);
+  }
+
+  if (!/^\d+[smhdw]$/.test(config.search.defaultWindow)) {
+    throw new Error('SEARCH_DEFAULT_WINDOW must be a duration like 1h, 7d or 30d');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.search.timezone });
+  } catch (error) {
+    throw new Error(`DEFAULT_TIMEZONE "${config.search.timezone}" is not a valid IANA timezone`);
+  }
+
+  if (!SUPPORTED_LOG_LEVELS.includes(config.logging.level)) {
+    throw new Error(`LOG_LEVEL must be one of: ${SUPPORTED_LOG_LEVELS.join(', ')}`);
+  }
+
+  if (!SUPPORTED_LOG_FORMATS.includes(config.logging.format)) {
+    throw new Error(`LOG_FORMAT must be one of: ${SUPPORTED_LOG_FORMATS.join(', ')}`);
+  }
+
+  try {
+    parseRedactionPatterns(config.redaction.customPatterns);
+  } catch (error) {
+    throw new Error(`Invalid REDACTION_PATTERNS: ${error.message}`);
+  }
+
+  try {
+    parseCorrelationPatterns(config.correlation.idPatterns);
+  } catch (error) {
+    throw new Error(`Invalid CORRELATION_ID_PATTERNS: ${error.message}`);
+  }
+
+  if (!(config.papertrail.timeout > 0) || !(config.mcp.toolTimeout > 0)) {
+    throw new Error('PAPERTRAIL_TIMEOUT_SECONDS and TOOL_TIMEOUT_SECONDS must be positive integers');
+  }
+
   if (config.rateLimit.requestsPerMinute < 1) {
     throw new Error('RATE_LIMIT_REQUESTS_PER_MINUTE must be at least 1');
   }
+
+  const { historicalTtl, liveTtl, listTtl, maxBytes } = config.cache;
+  if (![historicalTtl, liveTtl, listTtl].every(ttl => ttl >= 0) || !(maxBytes > 0)) {
+    throw new Error('CACHE_*_TTL_SECONDS must be 0 or more and CACHE_MAX_MB must be positive');
+  }
 }
 
 export {
   config,
-  validateConfig
+  validateConfig,
+  parseRedactionPatterns,
+  parseCorrelationPatterns
 };
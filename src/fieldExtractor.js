@@ -0,0 +1,287 @@
+/**
+ * Structured payload extraction from log messages
+ *
+ * Detects JSON ("{...}", optionally after a prefix such as a level), logfmt
+ * (every token is key=value) and looser key=value pairs embedded in text,
+ * and parses them into a flat field map. Nested JSON objects are flattened
+ * to dotted names ("http.status"). Filters such as "status>=500" are then
+ * evaluated against those fields.
+ */
+
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+import { globalRedactor } from './redactor.js';
+
+// key=value, key="quoted value" or key='quoted value'
+const PAIR_REGEX = /(?:^|[\s,;])([A-Za-z_@][\w.\-/@]*)=("(?:[^"\\]|\\.)*"|'[^']*'|[^\s,;]*)/g;
+
+// Whitespace-separated tokens, keeping quoted values together
+const TOKEN_REGEX = /(?:[^\s"']+|"(?:[^"\\]|\\.)*"|'[^']*')+/g;
+
+// field, !field, field=value, field!=value, field>=value, field~text, ...
+const FILTER_REGEX = /^\s*(!?)([A-Za-z_@][\w.\-/@]*)\s*(?:(>=|<=|!=|!~|=|>|<|~)\s*(.*?))?\s*$/;
+
+const MAX_FILTERS = 10;
+
+/**
+ * Tool input schema properties for field filters and selection, shared by the search tools
+ */
+const FIELD_SCHEMA_PROPERTIES = {
+  where: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Filters on fields parsed from JSON, logfmt or key=value messages, all of which must match, e.g. ["status>=500", "user_id=42", "level!=debug", "msg~timeout", "trace_id", "!error"]. Operators: = != > >= < <= ~ (contains) !~ (does not contain); a bare name means the field exists, !name that it does not. Nested JSON fields use dots ("http.status"). Applied after the Papertrail search, so keep the query selective.'
+  },
+  fields: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Parsed fields to show with each event, e.g. ["status", "user_id", "duration_ms"], or ["*"] for all'
+  }
+};
+
+/**
+ * Flatten a parsed JSON object into dotted field names
+ */
+function flatten(object, prefix = '', fields = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, name, fields);
+    } else {
+      fields[name] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Parse a JSON object in the message, allowing a text prefix ("INFO {...}")
+ */
+function parseJson(message) {
+  const start = message.indexOf('{');
+  const end = message.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    const value = JSON.parse(message.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? flatten(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remove the quotes around a key=value value
+ */
+function unquote(value) {
+  if (/^".*"$/s.test(value)) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  if (/^'.*'$/s.test(value)) {
+    return value.slice(1, -1);
+  }
+  return value;
+}
+
+/**
+ * Parse the key=value pairs in a message
+ */
+function parsePairs(message) {
+  const fields = {};
+  let count = 0;
+  for (const [, key, value] of message.matchAll(PAIR_REGEX)) {
+    fields[key] = unquote(value);
+    count++;
+  }
+  return count > 0 ? fields : null;
+}
+
+/**
+ * Detect and parse a structured payload in a log message
+ * @param {string} message - Log message
+ * @returns {Object|null} { format: 'json'|'logfmt'|'kv', fields: { name: value } }, or null for plain text
+ */
+function extractFields(message) {
+  const text = String(message || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const json = parseJson(text);
+  if (json) {
+    return { format: 'json', fields: json };
+  }
+
+  const pairs = parsePairs(text);
+  if (!pairs) {
+    return null;
+  }
+
+  // logfmt when every token is a pair; otherwise pairs embedded in free text
+  const tokens = text.match(TOKEN_REGEX) || [];
+  const isLogfmt = tokens.every(token => /^[A-Za-z_@][\w.\-/@]*=/.test(token));
+  return { format: isLogfmt ? 'logfmt' : 'kv', fields: pairs };
+}
+
+/**
+ * Parse field filter expressions
+ * @param {Array<string>} [specs] - e.g. ["status>=500", "user_id=42"]
+ * @returns {Array} [{ field, operator, value, expression }]; operator 'exists' or 'missing' for bare names
+ */
+function parseFilters(specs = []) {
+  if (specs.length > MAX_FILTERS) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `At most ${MAX_FILTERS} where filters are supported`
+    );
+  }
+
+  return specs.map(expression => {
+    const match = FILTER_REGEX.exec(String(expression));
+    if (!match || (match[1] && match[3])) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid where filter "${expression}". Use field<op>value with = != > >= < <= ~ !~ (e.g. "status>=500"), a bare field name to require it, or !field to exclude it.`
+      );
+    }
+
+    const [, negated, field, operator, value] = match;
+    if (!operator) {
+      return { field, operator: negated ? 'missing' : 'exists', value: null, expression };
+    }
+
+    const text = unquote(value);
+    if (['>', '>=', '<', '<='].includes(operator) && toNumber(text) === null) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid where filter "${expression}": ${operator} needs a number`
+      );
+    }
+
+    return { field, operator, value: text, expression };
+  });
+}
+
+/**
+ * Numeric value of a field, or null
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Whether a field value satisfies one filter
+ */
+function matchesFilter(fields, { field, operator, value }) {
+  const present = fields !== null && Object.hasOwn(fields, field) && fields[field] !== undefined;
+
+  switch (operator) {
+    case 'exists':
+      return present;
+    case 'missing':
+      return !present;
+  }
+
+  if (!present) {
+    // A missing field is "not equal" to anything and contains nothing
+    return operator === '!=' || operator === '!~';
+  }
+
+  const actual = fields[field];
+  const text = actual === null ? 'null' : String(actual);
+
+  switch (operator) {
+    case '=':
+    case '!=': {
+      const actualNumber = toNumber(actual);
+      const expectedNumber = toNumber(value);
+      const equal = actualNumber !== null && expectedNumber !== null
+        ? actualNumber === expectedNumber
+        : text === value;
+      return operator === '=' ? equal : !equal;
+    }
+    case '~':
+      return text.toLowerCase().includes(value.toLowerCase());
+    case '!~':
+      return !text.toLowerCase().includes(value.toLowerCase());
+    default: {
+      const number = toNumber(actual);
+      if (number === null) {
+        return false;
+      }
+      const limit = toNumber(value);
+      return operator === '>' ? number > limit
+        : operator === '>=' ? number >= limit
+        : operator === '<' ? number < limit
+        : number <= limit;
+    }
+  }
+}
+
+/**
+ * Build an event predicate for parsed filters (all must match)
+ * @returns {Function|null} event => boolean, or null without filters
+ */
+function createEventFilter(filters) {
+  if (filters.length === 0) {
+    return null;
+  }
+
+  // Parse the redacted message, so a filter cannot probe redacted values
+  return event => {
+    const fields = extractFields(globalRedactor.redact(event.message || '').text)?.fields || null;
+    return filters.every(filter => matchesFilter(fields, filter));
+  };
+}
+
+/**
+ * Pick the requested fields
+ * @param {Object|null} fields - Parsed fields
+ * @param {Array<string>} names - Field names, or ["*"] for all
+ */
+function selectFields(fields, names) {
+  if (!fields) {
+    return {};
+  }
+  if (names.includes('*')) {
+    return fields;
+  }
+
+  const selected = {};
+  names.forEach(name => {
+    if (Object.hasOwn(fields, name)) {
+      selected[name] = fields[name];
+    }
+  });
+  return selected;
+}
+
+/**
+ * Format fields as "name=value" pairs
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .map(([name, value]) => {
+      const text = value === null ? 'null' : String(value);
+      return `${name}=${/[\s"]/.test(text) || text === '' ? JSON.stringify(text) : text}`;
+    })
+    .join(' ');
+}
+
+export {
+  FIELD_SCHEMA_PROPERTIES,
+  extractFields,
+  parseFilters,
+  matchesFilter,
+  createEventFilter,
+  selectFields,
+  formatFields
+};
@@ -0,0 +1,153 @@
+/**
+ * Machine-readable output formats for log events
+ *
+ * Every formatter takes events in the PapertrailClient.parseEvent() shape,
+ * optionally with the `fields` parsed from the message.
+ */
+
+/**
+ * Output formats accepted by the search tools ('text' is the tool's own layout)
+ */
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'csv', 'markdown', 'compact'];
+
+const CSV_COLUMNS = [
+  ['id', event => event.id],
+  ['timestamp', event => event.timestamp],
+  ['hostname', event => event.hostname],
+  ['program', event => event.program],
+  ['severity', event => event.severity],
+  ['facility', event => event.facility],
+  ['source_name', event => event.source?.name],
+  ['source_id', event => event.source?.id],
+  ['message', event => event.message]
+];
+
+/**
+ * Names of the parsed fields to print as columns
+ * @param {Array} events - Parsed events
+ * @param {Array<string>} [names] - Selected field names; "*" stands for every field present
+ */
+function fieldColumns(events, names = []) {
+  if (!names.includes('*')) {
+    return names;
+  }
+
+  const present = new Set();
+  events.forEach(event => Object.keys(event.fields || {}).forEach(name => present.add(name)));
+  return [...present];
+}
+
+/**
+ * Format events as pretty-printed JSON, wrapped with a summary
+ * @param {Array} events - Parsed events
+ * @param {Object} summary - Extra top-level fields (query, timeRange, cursors, ...)
+ */
+function formatJson(events, summary = {}) {
+  return JSON.stringify({ ...summary, events }, null, 2);
+}
+
+/**
+ * Format events as newline-delimited JSON (one event per line)
+ */
+function formatNdjson(events) {
+  return events.map(event => JSON.stringify(event)).join('\n');
+}
+
+/**
+ * Quote a CSV field per RFC 4180
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format events as CSV with a header row, plus a column per selected field
+ */
+function formatCsv(events, fields = []) {
+  const columns = [
+    ...CSV_COLUMNS,
+    ...fieldColumns(events, fields).map(name => [name, event => event.fields?.[name]])
+  ];
+  const header = columns.map(([name]) => csvField(name)).join(',');
+  const rows = events.map(event =>
+    columns.map(([, pick]) => csvField(pick(event))).join(',')
+  );
+  return [header, ...rows].join('\r\n');
+}
+
+/**
+ * Escape a value for a markdown table cell
+ */
+function markdownCell(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Format events as a markdown table, plus a column per selected field
+ */
+function formatMarkdown(events, fields = []) {
+  const columns = fieldColumns(events, fields);
+  let output = `| # | Time | Host | Program | Severity | Message |${columns.map(name => ` ${markdownCell(name)} |`).join('')}\n`;
+  output += `|---|------|------|---------|----------|---------|${columns.map(() => '---|').join('')}\n`;
+  events.forEach((event, index) => {
+    const cells = [
+      index + 1,
+      event.timestamp,
+      event.hostname,
+      event.program,
+      event.severity,
+      event.message,
+      ...columns.map(name => event.fields?.[name])
+    ].map(markdownCell);
+    output += `| ${cells.join(' | ')} |\n`;
+  });
+  return output;
+}
+
+/**
+ * Format events as terse text, one line per event, with selected fields appended
+ */
+function formatCompact(events, fields = []) {
+  const columns = fieldColumns(events, fields);
+  return events
+    .map(event => {
+      const line = `${event.timestamp} ${event.hostname || '-'} ${event.program || '-'}: ${event.message || ''}`;
+      const values = columns
+        .filter(name => event.fields && name in event.fields)
+        .map(name => `${name}=${JSON.stringify(event.fields[name])}`);
+      return values.length > 0 ? `${line} | ${values.join(' ')}` : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Format parsed events in one of the machine-readable formats
+ * @param {string} format - One of OUTPUT_FORMATS except 'text'
+ * @param {Array} events - Parsed events
+ * @param {Object} summary - Summary fields included by formats that have room for them;
+ *   summary.fields selects the parsed fields printed as columns
+ */
+function formatEvents(format, events, summary = {}) {
+  switch (format) {
+    case 'json':
+      return formatJson(events, summary);
+    case 'ndjson':
+      return formatNdjson(events);
+    case 'csv':
+      return formatCsv(events, summary.fields);
+    case 'markdown':
+      return formatMarkdown(events, summary.fields);
+    case 'compact':
+      return formatCompact(events, summary.fields);
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+}
+
+export {
+  OUTPUT_FORMATS,
+  formatEvents
+};
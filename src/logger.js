@@ -0,0 +1,226 @@
+/**
+ * Structured logging for the Papertrail MCP Server
+ *
+ * Writes to stderr (or LOG_FILE), never stdout: stdout carries JSON-RPC when
+ * the stdio transport is used. Records emitted while a tool call is running
+ * pick up that call's request context and can be forwarded to the MCP client
+ * as notifications/message.
+ */
+
+import fs from 'node:fs';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { config } from './config.js';
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// MCP logging levels (RFC 5424 names) for each logger level
+const MCP_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  warn: 'warning',
+  error: 'error'
+};
+
+// Severity order of the MCP levels a client can choose with logging/setLevel
+const MCP_LEVEL_ORDER = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Fields whose values are never written, whatever they contain
+const SECRET_KEYS = /^(x-papertrail-token|authorization|cookie|set-cookie|password|passwd|api[_-]?key|api[_-]?token|token|secret)$/i;
+
+const logContext = new AsyncLocalStorage();
+
+/**
+ * API tokens of every configured account
+ */
+function accountTokens() {
+  return Object.values(config.accounts).map(account => account.apiToken).filter(Boolean);
+}
+
+/**
+ * Replace secrets in a value before it is logged: any account's API token
+ * wherever it appears, and anything stored under a credential-like key
+ */
+function scrubSecrets(value, depth = 0, tokens = accountTokens()) {
+  if (typeof value === 'string') {
+    return tokens.reduce((text, token) => text.includes(token) ? text.split(token).join('[REDACTED]') : text, value);
+  }
+  if (!value || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrubSecrets(item, depth + 1, tokens));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEYS.test(key) ? '[REDACTED]' : scrubSecrets(item, depth + 1, tokens);
+  }
+  return result;
+}
+
+/**
+ * Convert Error values into plain objects so they survive JSON.stringify
+ */
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      result[key] = {
+        message: value.message,
+        ...(value.code && { code: value.code }),
+        stack: value.stack
+      };
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Render a record as a single human-readable line
+ */
+function formatPretty({ timestamp, level, message, component, ...fields }) {
+  const prefix = component ? `[${component}] ` : '';
+  const extras = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${timestamp} ${level.toUpperCase().padEnd(5)} ${prefix}${message}${extras ? ` ${extras}` : ''}`;
+}
+
+/**
+ * Open the log destination: LOG_FILE if set, stderr otherwise
+ */
+function openDestination(file) {
+  if (!file) {
+    return process.stderr;
+  }
+  return fs.createWriteStream(file, { flags: 'a' });
+}
+
+class Logger {
+  /**
+   * @param {Object} options - { level, format: 'json'|'pretty', destination, bindings }
+   */
+  constructor({ level = 'info', format = 'json', destination = process.stderr, bindings = {} } = {}) {
+    // Unknown levels fall back to info so startup errors are still reported
+    this.level = LEVELS[level] ? level : 'info';
+    this.format = format;
+    this.destination = destination;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Create a logger that adds the given fields to every record
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      destination: this.destination,
+      bindings: { ...this.bindings, ...bindings }
+    });
+  }
+
+  /**
+   * Whether records at this level are written locally
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Write a record and forward it to the MCP client of the current request, if any
+   */
+  log(level, message, fields = {}) {
+    const context = logContext.getStore();
+    const record = scrubSecrets({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      ...this.bindings,
+      ...context?.bindings,
+      ...serializeFields(fields)
+    });
+
+    if (this.isLevelEnabled(level)) {
+      const line = this.format === 'pretty' ? formatPretty(record) : JSON.stringify(record);
+      this.destination.write(`${line}\n`);
+    }
+
+    context?.forward?.(level, record);
+  }
+}
+
+/**
+ * Run a function with request context attached to every record logged inside it
+ * @param {Object} context - { bindings, forward(level, record) }
+ * @param {Function} fn - Function to run
+ */
+function runWithLogContext(context, fn) {
+  return logContext.run(context, fn);
+}
+
+/**
+ * Create a forwarder that sends records to the MCP client as notifications/message.
+ * Nothing is sent until the client picks a level with logging/setLevel.
+ * @param {Function} getClientLevel - Returns the level the client asked for, or null
+ * @param {Function} sendNotification - Request-scoped notification sender from the MCP SDK
+ */
+function createClientLogForwarder(getClientLevel, sendNotification) {
+  return (level, record) => {
+    const clientLevel = getClientLevel();
+    const mcpLevel = MCP_LEVELS[level];
+    if (!clientLevel || MCP_LEVEL_ORDER.indexOf(mcpLevel) < MCP_LEVEL_ORDER.indexOf(clientLevel)) {
+      return;
+    }
+
+    const { timestamp, level: _level, component, ...data } = record;
+    sendNotification({
+      method: 'notifications/message',
+      params: {
+        level: mcpLevel,
+        logger: component || config.mcp.name,
+        data
+      }
+    }).catch(() => {
+      // The client may have gone away; never fail a tool call over a log line
+    });
+  };
+}
+
+const logger = new Logger({
+  level: config.logging.level,
+  format: config.logging.format,
+  destination: openDestination(config.logging.file)
+});
+
+export {
+  Logger,
+  accountTokens,
+  logger,
+  runWithLogContext,
+  createClientLogForwarder
+};
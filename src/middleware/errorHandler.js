@@ -2,7 +2,9 @@
  * Error handling middleware for MCP server
  */
 
-import { config } from '../config.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'errors' });
 
 /**
  * Standard error codes for MCP operations
@@ -12,8 +14,14 @@ const ERROR_CODES = {
   INVALID_ARGUMENTS: 'INVALID_ARGUMENTS',
   API_CONNECTION_ERROR: 'API_CONNECTION_ERROR',
   AUTHENTICATION_ERROR: 'AUTHENTICATION_ERROR',
+  NOT_FOUND: 'NOT_FOUND',
+  API_REQUEST_REJECTED: 'API_REQUEST_REJECTED',
   TOOL_EXECUTION_ERROR: 'TOOL_EXECUTION_ERROR',
   CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
+  AMBIGUOUS_SOURCE: 'AMBIGUOUS_SOURCE',
+  SOURCE_NOT_FOUND: 'SOURCE_NOT_FOUND',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
   INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
 
@@ -51,7 +59,15 @@ class ErrorHandler {
         errorResponse.validationErrors = error.validationErrors;
         break;
         
+      case ERROR_CODES.AMBIGUOUS_SOURCE:
+      case ERROR_CODES.SOURCE_NOT_FOUND:
+        errorResponse.candidates = error.candidates;
+        break;
+        
       case ERROR_CODES.API_CONNECTION_ERROR:
+      case ERROR_CODES.AUTHENTICATION_ERROR:
+      case ERROR_CODES.NOT_FOUND:
+      case ERROR_CODES.API_REQUEST_REJECTED:
         errorResponse.apiEndpoint = error.apiEndpoint;
         errorResponse.httpStatus = error.httpStatus;
         break;
@@ -77,7 +93,7 @@ class ErrorHandler {
         return `🚀 Rate limit exceeded. Please wait ${error.retryAfter} seconds before trying again.`;
         
       case ERROR_CODES.INVALID_ARGUMENTS:
-        return `⚠️ Invalid arguments provided. Please check the tool documentation and try again.`;
+        return `⚠️ Invalid arguments: ${error.message}`;
         
       case ERROR_CODES.API_CONNECTION_ERROR:
         return `🔌 Unable to connect to Papertrail API. Please check your network connection and API credentials.`;
@@ -85,12 +101,30 @@ class ErrorHandler {
       case ERROR_CODES.AUTHENTICATION_ERROR:
         return `🔒 Authentication failed. Please verify your Papertrail API token is correct and has necessary permissions.`;
         
+      case ERROR_CODES.NOT_FOUND:
+        return `🔎 ${error.message}. Check the system, group or event ID.`;
+        
+      case ERROR_CODES.API_REQUEST_REJECTED:
+        return `🚫 ${error.message}`;
+        
       case ERROR_CODES.TOOL_EXECUTION_ERROR:
         return `⚙️ Tool execution failed: ${error.message}`;
         
       case ERROR_CODES.CONFIGURATION_ERROR:
         return `⚙️ Server configuration error. Please contact your administrator.`;
         
+      case ERROR_CODES.AMBIGUOUS_SOURCE:
+        return `🔀 ${error.message}`;
+        
+      case ERROR_CODES.SOURCE_NOT_FOUND:
+        return `🔎 ${error.message}`;
+        
+      case ERROR_CODES.TIMEOUT:
+        return `⏱️ Timed out: ${error.message}. Try a narrower time range or a smaller limit.`;
+        
+      case ERROR_CODES.CANCELLED:
+        return `🛑 Cancelled: ${error.message}`;
+        
       default:
         return `❌ An unexpected error occurred: ${error.message}`;
     }
@@ -100,21 +134,12 @@ class ErrorHandler {
    * Log error details (for debugging and monitoring)
    */
   static logError(error, context = {}) {
-    const logEntry = {
-      timestamp: new Date().toISOString(),
-      level: 'error',
-      message: error.message,
-      code: error.code,
-      stack: error.stack,
-      context
-    };
-
-    // In production, you might want to send this to a logging service
-    if (config.logging.level === 'debug') {
-      console.error('Error details:', JSON.stringify(logEntry, null, 2));
-    } else {
-      console.error(`[${error.code || 'UNKNOWN'}] ${error.message}`);
-    }
+    log.error(error.message, {
+      code: error.code || 'UNKNOWN',
+      context,
+      // Stacks are only useful when debugging; keep normal logs to one line
+      ...(log.isLevelEnabled('debug') && { stack: error.stack })
+    });
   }
 
   /**
@@ -127,6 +152,42 @@ class ErrorHandler {
     return error;
   }
 
+  /**
+   * Create a TIMEOUT or CANCELLED error for an aborted signal.
+   * Deadlines abort with a TimeoutError reason; anything else is a cancellation.
+   * @param {AbortSignal} signal - The aborted signal
+   * @param {string} operation - What was interrupted, for the message
+   */
+  static createAbortError(signal, operation) {
+    const timedOut = signal?.reason?.name === 'TimeoutError';
+    return this.createError(
+      timedOut ? ERROR_CODES.TIMEOUT : ERROR_CODES.CANCELLED,
+      timedOut ? `${operation} exceeded its deadline` : `${operation} was cancelled`
+    );
+  }
+
+  /**
+   * Create an error from a failed PapertrailClient result, keeping the code
+   * the client assigned (authentication, rate limit, bad request, ...)
+   * @param {Object} result - { success: false, error, code, httpStatus, retryAfter }
+   * @param {string} apiEndpoint - Endpoint for the error details
+   * @param {Object} additionalProperties - Extra error properties
+   */
+  static createApiError(result, apiEndpoint, additionalProperties = {}) {
+    // Timeout and cancellation messages already say what was interrupted
+    const interrupted = result.code === ERROR_CODES.TIMEOUT || result.code === ERROR_CODES.CANCELLED;
+    return this.createError(
+      result.code || ERROR_CODES.API_CONNECTION_ERROR,
+      interrupted ? result.error : `Papertrail API request failed: ${result.error}`,
+      {
+        apiEndpoint,
+        httpStatus: result.httpStatus,
+        retryAfter: result.retryAfter,
+        ...additionalProperties
+      }
+    );
+  }
+
   /**
    * Wrap async function with error handling
    */
@@ -188,6 +249,11 @@ class ErrorHandler {
             }
           }
           
+          // Allowed values
+          if (constraints.enum && !constraints.enum.includes(value)) {
+            errors.push(`Field '${field}' must be one of: ${constraints.enum.join(', ')}`);
+          }
+          
           // String length checking
           if (constraints.type === 'string') {
             if (constraints.minLength !== undefined && value.length < constraints.minLength) {
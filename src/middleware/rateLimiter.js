@@ -9,9 +9,11 @@ class RateLimiter {
     this.requestsPerMinute = options.requestsPerMinute || config.rateLimit.requestsPerMinute;
     this.burst = options.burst || config.rateLimit.burst;
     this.clients = new Map(); // clientId -> { requests: [], burstTokens: number }
+    // Papertrail's own quota for the account's API token, shared by every client
+    this.upstream = null; // { limit, remaining, resetTime }
     
     // Clean up old entries every minute
-    setInterval(() => this.cleanup(), 60000);
+    setInterval(() => this.cleanup(), 60000).unref();
   }
 
   /**
@@ -23,6 +25,18 @@ class RateLimiter {
     const now = Date.now();
     const windowStart = now - 60000; // 1 minute window
     
+    // No point admitting a call Papertrail will reject
+    const upstreamWait = this.getUpstreamWait(now);
+    if (upstreamWait > 0) {
+      return {
+        allowed: false,
+        reason: 'upstream_rate_limit_exceeded',
+        remaining: 0,
+        resetTime: this.upstream.resetTime,
+        retryAfter: Math.ceil(upstreamWait / 1000)
+      };
+    }
+    
     // Get or create client record
     if (!this.clients.has(clientId)) {
       this.clients.set(clientId, {
@@ -36,8 +50,9 @@ class RateLimiter {
     // Remove old requests outside the window
     client.requests = client.requests.filter(timestamp => timestamp > windowStart);
     
-    // Restore burst tokens over time (1 token per 10 seconds)
-    const tokenRestoreInterval = 10000; // 10 seconds
+    // Restore burst tokens at the sustained rate (1 per second at 60/min), so a
+    // paged search can keep going once its burst is spent
+    const tokenRestoreInterval = 60000 / this.requestsPerMinute;
     const tokensSinceLastRequest = client.requests.length > 0 
       ? Math.floor((now - Math.max(...client.requests)) / tokenRestoreInterval)
       : this.burst;
@@ -51,7 +66,7 @@ class RateLimiter {
         reason: 'burst_limit_exceeded',
         remaining: 0,
         resetTime: now + tokenRestoreInterval,
-        retryAfter: tokenRestoreInterval / 1000
+        retryAfter: Math.ceil(tokenRestoreInterval / 1000)
       };
     }
     
@@ -83,6 +98,24 @@ class RateLimiter {
     };
   }
   
+  /**
+   * Record the quota Papertrail reported in its X-Rate-Limit-* headers
+   * @param {Object} quota - { limit, remaining, resetTime (ms epoch) }
+   */
+  updateUpstreamQuota(quota) {
+    this.upstream = { ...quota };
+  }
+  
+  /**
+   * Milliseconds until Papertrail accepts requests again (0 if it does now)
+   */
+  getUpstreamWait(now = Date.now()) {
+    if (!this.upstream || this.upstream.remaining > 0) {
+      return 0;
+    }
+    return Math.max(0, this.upstream.resetTime - now);
+  }
+  
   /**
    * Clean up old client records
    */
@@ -165,36 +198,35 @@ class RateLimiter {
       limits: {
         requestsPerMinute: this.requestsPerMinute,
         burst: this.burst
-      }
+      },
+      upstream: this.upstream
     };
   }
 }
 
-// Global rate limiter instance
-const globalRateLimiter = new RateLimiter();
+// Global rate limiter instance, used for the default account
+const globalRateLimiter = new RateLimiter(config.accounts[config.defaultAccount]?.rateLimit);
+
+// Account name -> RateLimiter; each account has its own limits and Papertrail quota
+const accountRateLimiters = new Map([[config.defaultAccount, globalRateLimiter]]);
 
 /**
- * Rate limiting middleware function for MCP tools
+ * Get the rate limiter of an account
+ * @param {Object} [account] - Account from accounts.js; the default account when omitted
  */
-function createRateLimitMiddleware(rateLimiter = globalRateLimiter) {
-  return function rateLimitMiddleware(clientId) {
-    const result = rateLimiter.checkLimit(clientId);
-    
-    if (!result.allowed) {
-      const error = new Error(`Rate limit exceeded: ${result.reason}`);
-      error.code = 'RATE_LIMIT_EXCEEDED';
-      error.retryAfter = result.retryAfter;
-      error.resetTime = result.resetTime;
-      error.remaining = result.remaining;
-      throw error;
-    }
-    
-    return result;
-  };
+function getRateLimiter(account = null) {
+  if (!account) {
+    return globalRateLimiter;
+  }
+
+  if (!accountRateLimiters.has(account.name)) {
+    accountRateLimiters.set(account.name, new RateLimiter(account.rateLimit));
+  }
+  return accountRateLimiters.get(account.name);
 }
 
 export {
   RateLimiter,
   globalRateLimiter,
-  createRateLimitMiddleware
+  getRateLimiter
 };
@@ -4,11 +4,104 @@
 
 import fetch from 'node-fetch';
 import { config } from './config.js';
+import { parseDuration } from './timeParser.js';
+import { logger } from './logger.js';
+import { getRateLimiter } from './middleware/rateLimiter.js';
+import { globalResponseCache } from './responseCache.js';
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+import { severityLevel, severityName } from './severity.js';
+
+const log = logger.child({ component: 'papertrail' });
+
+// Papertrail returns at most 1000 events per search request
+const MAX_PAGE_SIZE = 1000;
+
+// Safety net against walking an unbounded number of pages in one call
+const MAX_PAGES_PER_SEARCH = 50;
+
+// Longest we wait inside one request for a rate limit reset or Retry-After
+const MAX_RETRY_WAIT_MS = 30 * 1000;
+
+/**
+ * Compare two Papertrail event IDs (numeric strings that may exceed 2^53)
+ */
+function compareEventIds(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Exponential backoff with jitter: 0.5-1s, 1-2s, 2-4s, ...
+ */
+function backoffDelay(attempt) {
+  const base = Math.pow(2, attempt - 1) * 1000;
+  return base / 2 + Math.random() * base / 2;
+}
+
+/**
+ * Seconds to wait from Retry-After (seconds or HTTP date), falling back to X-Rate-Limit-Reset
+ * @returns {number|null}
+ */
+function parseRetryAfter(headers) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds);
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+  }
+
+  const reset = Number(headers.get('x-rate-limit-reset'));
+  return headers.get('x-rate-limit-reset') && Number.isFinite(reset) ? Math.max(0, reset) : null;
+}
+
+/**
+ * Normalize a search query for cache keys: trim, and collapse whitespace outside quoted phrases
+ */
+function normalizeQuery(query) {
+  return String(query).trim().replace(/("[^"]*")|\s+/g, (match, quoted) => quoted || ' ');
+}
+
+/**
+ * Failed result in the shape the search/list methods return
+ */
+function failureResult(error, fields) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    httpStatus: error.httpStatus,
+    retryAfter: error.retryAfter,
+    ...fields
+  };
+}
 
 class PapertrailClient {
-  constructor(apiToken = config.papertrail.apiToken) {
+  /**
+   * @param {Object} options - { account: from accounts.js (default account when omitted), apiToken,
+   *   signal: aborts every request and retry wait (tool deadline or MCP cancellation),
+   *   cache: ResponseCache for searches and lists, or null to always ask Papertrail,
+   *   clientId: MCP client charged one rate limit token per API request, or null to not charge }
+   */
+  constructor({
+    account = config.accounts[config.defaultAccount],
+    apiToken = account?.apiToken,
+    signal = null,
+    cache = globalResponseCache,
+    clientId = null
+  } = {}) {
+    this.account = account;
+    this.cache = cache;
     this.apiToken = apiToken;
-    this.baseUrl = config.papertrail.baseUrl;
+    this.signal = signal;
+    this.clientId = clientId;
+    this.baseUrl = account?.baseUrl || config.papertrail.baseUrl;
+    this.rateLimiter = getRateLimiter(account);
     this.timeout = config.papertrail.timeout;
     this.maxRetries = config.papertrail.maxRetries;
   }
@@ -27,71 +120,250 @@ class PapertrailClient {
         'User-Agent': `${config.mcp.name}/${config.mcp.version}`,
         ...options.headers
       },
-      timeout: this.timeout,
       ...options
     };
 
+    await this.acquireRateLimit();
+
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        const requestStart = Date.now();
-        console.log(`Papertrail API request to: ${url}`);
-        console.log(`Headers:`, requestOptions.headers);
-        
-        const response = await fetch(url, requestOptions);
-        const responseTime = Date.now() - requestStart;
+      // Don't spend a request Papertrail has already told us it will reject
+      const quotaWait = this.rateLimiter.getUpstreamWait();
+      if (quotaWait > 0) {
+        log.debug('Waiting for Papertrail rate limit reset', { waitMs: quotaWait, account: this.account?.name });
+        await this.sleep(Math.min(quotaWait, MAX_RETRY_WAIT_MS));
+      }
 
-        console.log(`Response status: ${response.status}`);
-        console.log(`Response time: ${responseTime}ms`);
-        console.log(`Response headers:`, Object.fromEntries(response.headers.entries()));
+      // Per-attempt deadline; the client's signal ends the attempt early too
+      const timeoutSignal = AbortSignal.timeout(this.timeout);
+      const signal = this.signal ? AbortSignal.any([this.signal, timeoutSignal]) : timeoutSignal;
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.log(`Response body (error):`, errorText);
-          throw new Error(
-            `Papertrail API error (${response.status}): ${errorText}`
-          );
+      const requestStart = Date.now();
+      let response;
+      let responseData;
+      try {
+        log.debug('Papertrail API request', { url, attempt });
+        response = await fetch(url, { ...requestOptions, signal });
+        if (response.ok) {
+          responseData = await response.json();
         }
-
-        const responseData = await response.json();
-        console.log(`Response body (success):`, JSON.stringify(responseData, null, 2));
-        
-        // Create a copy of response data for metadata to avoid circular reference
-        const responseBodyCopy = JSON.parse(JSON.stringify(responseData));
-        
-        // Add metadata to response
-        responseData._metadata = {
-          url,
-          status: response.status,
-          responseTime,
-          timestamp: new Date().toISOString(),
-          headers: Object.fromEntries(response.headers.entries()),
-          responseBody: responseBodyCopy // Include copy to avoid circular reference
-        };
-        
-        return responseData;
       } catch (error) {
-        lastError = error;
-        console.warn(`Request attempt ${attempt} failed:`, error.message);
+        lastError = this.createFetchError(error, timeoutSignal, endpoint);
+        response = null;
+      }
 
-        if (attempt < this.maxRetries) {
-          // Exponential backoff: 1s, 2s, 4s
-          const delay = Math.pow(2, attempt - 1) * 1000;
-          await this.sleep(delay);
+      if (response) {
+        const responseTime = Date.now() - requestStart;
+        this.recordUpstreamQuota(response.headers);
+        log.debug('Papertrail API response', { url, status: response.status, responseTime });
+
+        if (response.ok) {
+          // Add metadata to response
+          responseData._metadata = {
+            url,
+            status: response.status,
+            responseTime,
+            timestamp: new Date().toISOString(),
+            headers: Object.fromEntries(response.headers.entries())
+          };
+          
+          return responseData;
         }
+
+        lastError = await this.createResponseError(response, endpoint);
       }
+
+      if (!lastError.retryable || attempt === this.maxRetries) {
+        break;
+      }
+
+      const delay = lastError.retryAfter !== undefined
+        ? lastError.retryAfter * 1000
+        : backoffDelay(attempt);
+      log.warn('Papertrail API request attempt failed, retrying', {
+        endpoint,
+        attempt,
+        maxRetries: this.maxRetries,
+        delayMs: Math.round(delay),
+        reason: lastError.message
+      });
+      await this.sleep(delay);
+    }
+
+    if (lastError.retryable && this.maxRetries > 1) {
+      lastError.message = `Failed after ${this.maxRetries} attempts: ${lastError.message}`;
+    }
+    throw lastError;
+  }
+
+  /**
+   * Classify a fetch that threw. Cancellation and the tool deadline are thrown
+   * straight away; per-request timeouts and network failures are returned as
+   * retryable errors.
+   */
+  createFetchError(error, timeoutSignal, endpoint) {
+    if (this.signal?.aborted) {
+      throw ErrorHandler.createAbortError(this.signal, 'Papertrail API request');
+    }
+
+    if (timeoutSignal.aborted) {
+      return ErrorHandler.createError(
+        ERROR_CODES.TIMEOUT,
+        `Papertrail API request timed out after ${this.timeout / 1000}s`,
+        { apiEndpoint: endpoint, retryable: true }
+      );
+    }
+
+    return ErrorHandler.createError(
+      ERROR_CODES.API_CONNECTION_ERROR,
+      `Papertrail API request failed: ${error.message}`,
+      { apiEndpoint: endpoint, retryable: true }
+    );
+  }
+
+  /**
+   * Classify a failed HTTP response: transient errors (5xx, 429) are retryable,
+   * other 4xx fail fast with a specific error code
+   */
+  async createResponseError(response, endpoint) {
+    const status = response.status;
+    const body = (await response.text().catch(() => '')).slice(0, 500);
+    const message = `Papertrail API error (${status}): ${body}`;
+    const details = { apiEndpoint: endpoint, httpStatus: status };
+
+    if (status === 401 || status === 403) {
+      return ErrorHandler.createError(ERROR_CODES.AUTHENTICATION_ERROR, message, { ...details, retryable: false });
+    }
+
+    if (status === 429) {
+      const retryAfter = parseRetryAfter(response.headers) ?? 1;
+      return ErrorHandler.createError(ERROR_CODES.RATE_LIMIT_EXCEEDED, message, {
+        ...details,
+        retryAfter,
+        // Waiting longer than a tool call should block is left to the caller
+        retryable: retryAfter * 1000 <= MAX_RETRY_WAIT_MS
+      });
     }
 
-    throw new Error(`Failed after ${this.maxRetries} attempts: ${lastError.message}`);
+    if (status >= 500) {
+      return ErrorHandler.createError(ERROR_CODES.API_CONNECTION_ERROR, message, { ...details, retryable: true });
+    }
+
+    if (status === 400) {
+      return ErrorHandler.createError(ERROR_CODES.INVALID_ARGUMENTS, message, { ...details, retryable: false });
+    }
+
+    if (status === 404) {
+      return ErrorHandler.createError(ERROR_CODES.NOT_FOUND, message, { ...details, retryable: false });
+    }
+
+    return ErrorHandler.createError(ERROR_CODES.API_REQUEST_REJECTED, message, { ...details, retryable: false });
   }
 
   /**
-   * Search logs using Papertrail API
+   * Charge one request to the client's rate limit, waiting for a token when
+   * one is due soon. Retries of the same request are not charged again.
+   */
+  async acquireRateLimit() {
+    if (!this.clientId) {
+      return;
+    }
+
+    while (true) {
+      const result = this.rateLimiter.checkLimit(this.clientId);
+      if (result.allowed) {
+        return;
+      }
+
+      const waitMs = result.retryAfter * 1000;
+      if (waitMs > MAX_RETRY_WAIT_MS) {
+        throw ErrorHandler.createError(
+          ERROR_CODES.RATE_LIMIT_EXCEEDED,
+          `Rate limit exceeded: ${result.reason} (account: ${this.account?.name})`,
+          {
+            retryAfter: result.retryAfter,
+            resetTime: result.resetTime,
+            remaining: result.remaining
+          }
+        );
+      }
+
+      log.debug('Waiting for rate limit token', { waitMs, reason: result.reason, account: this.account?.name });
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * Pass Papertrail's X-Rate-Limit-* headers on to the account's limiter
+   */
+  recordUpstreamQuota(headers) {
+    const remaining = headers.get('x-rate-limit-remaining');
+    if (remaining === null) {
+      return;
+    }
+
+    const reset = parseFloat(headers.get('x-rate-limit-reset'));
+    this.rateLimiter.updateUpstreamQuota({
+      limit: parseInt(headers.get('x-rate-limit-limit'), 10) || null,
+      remaining: parseInt(remaining, 10),
+      resetTime: Date.now() + (Number.isFinite(reset) ? reset * 1000 : 0)
+    });
+  }
+
+  /**
+   * Run a request through the response cache, if this client has one
+   * @param {string} kind - Request kind, part of the key
+   * @param {Object} params - Normalized request parameters, part of the key
+   * @param {number} ttl - Milliseconds to keep a successful result
+   * @param {Function} fetcher - Performs the request
+   * @param {Object} options - { fresh: ignore a stored result }
+   */
+  cachedRequest(kind, params, ttl, fetcher, options = {}) {
+    if (!this.cache) {
+      return fetcher();
+    }
+
+    const key = JSON.stringify([this.account?.name ?? null, this.baseUrl, kind, params]);
+    return this.cache.get(key, ttl, fetcher, options);
+  }
+
+  /**
+   * Search logs using Papertrail API, through the response cache
    * @param {string} query - Search query
    * @param {Object} options - Search options
    * @returns {Promise<Object>} Search results
    */
   async searchLogs(query, options = {}) {
+    if (!this.cache) {
+      return this.fetchSearchLogs(query, options);
+    }
+
+    // Windows reaching now are keyed by time rounded to the live TTL, so a
+    // repeat a few seconds later (with a slightly later "30 days ago") still hits
+    const historical = this.cache.isHistorical(options.maxTime);
+    const bucket = Math.max(1, Math.floor(this.cache.liveTtl / 1000));
+    const round = seconds => historical ? seconds : Math.floor(seconds / bucket) * bucket;
+
+    const params = {
+      q: normalizeQuery(query),
+      minTime: round(options.minTime || this.getDefaultMinTime()),
+      maxTime: options.maxTime ? round(options.maxTime) : 'now',
+      limit: options.limit || 100,
+      systemId: options.system_id || null,
+      groupId: options.group_id || null,
+      minId: options.min_id || null,
+      maxId: options.max_id || null
+    };
+
+    return this.cachedRequest('search', params, this.cache.searchTtl(options.maxTime), () =>
+      this.fetchSearchLogs(query, options)
+    );
+  }
+
+  /**
+   * Search logs using Papertrail API, bypassing the cache
+   */
+  async fetchSearchLogs(query, options = {}) {
     try {
       const params = new URLSearchParams({
         q: query,
@@ -99,7 +371,9 @@ class PapertrailClient {
         max_time: options.maxTime || this.getDefaultMaxTime(),
         limit: options.limit || 100,
         ...(options.system_id && { system_id: options.system_id }),
-        ...(options.group_id && { group_id: options.group_id })
+        ...(options.group_id && { group_id: options.group_id }),
+        ...(options.min_id && { min_id: options.min_id }),
+        ...(options.max_id && { max_id: options.max_id })
       });
 
       const endpoint = `/events/search.json?${params}`;
@@ -109,6 +383,10 @@ class PapertrailClient {
         success: true,
         events: result.events || [],
         total: result.events?.length || 0,
+        minId: result.min_id || null,
+        maxId: result.max_id || null,
+        reachedBeginning: Boolean(result.reached_beginning),
+        reachedTimeLimit: Boolean(result.reached_time_limit),
         query,
         timeRange: {
           minTime: options.minTime || this.getDefaultMinTime(),
@@ -122,21 +400,199 @@ class PapertrailClient {
         _metadata: result._metadata
       };
     } catch (error) {
-      console.error('Error searching Papertrail logs:', error);
-      return {
-        success: false,
-        error: error.message,
+      log.error('Error searching Papertrail logs', { error });
+      return failureResult(error, {
         events: [],
         total: 0,
         query
+      });
+    }
+  }
+
+  /**
+   * Search several systems and merge the results by time
+   * @param {string} query - Search query
+   * @param {Array<number>} systemIds - Systems to search
+   * @param {Object} options - Search options (as for searchLogs)
+   * @returns {Promise<Object>} Search results in the searchLogs shape
+   */
+  async searchLogsAcrossSystems(query, systemIds, options = {}) {
+    const results = await Promise.all(
+      systemIds.map(systemId => this.searchLogs(query, { ...options, system_id: systemId }))
+    );
+
+    const failed = results.find(result => !result.success);
+    if (failed) {
+      return failed;
+    }
+
+    // Each system returns its newest events (or, when walking forward from
+    // min_id, its oldest); keep the same end of the merged list
+    const limit = options.limit || 100;
+    const forward = Boolean(options.min_id && !options.max_id);
+    const merged = results
+      .flatMap(result => result.events)
+      .sort((a, b) => compareEventIds(a.id, b.id));
+    const events = forward ? merged.slice(0, limit) : merged.slice(-limit);
+    const trimmed = events.length < merged.length;
+
+    // A system that stopped at its time limit has only been scanned down to its
+    // min_id; paging on from further back would skip the rest of it
+    const stops = forward ? [] : results.filter(result => result.reachedTimeLimit && result.minId).map(result => result.minId);
+    const minId = [events[0]?.id, ...stops]
+      .filter(Boolean)
+      .reduce((highest, id) => (highest && compareEventIds(highest, id) > 0 ? highest : id), null);
+    // Older events of the other systems come again with the next page
+    const kept = stops.length > 0 ? events.filter(event => compareEventIds(event.id, minId) >= 0) : events;
+
+    return {
+      ...results[0],
+      events: kept,
+      total: kept.length,
+      minId,
+      maxId: kept[kept.length - 1]?.id || null,
+      reachedBeginning: !trimmed && results.every(result => result.reachedBeginning),
+      reachedTimeLimit: stops.length > 0
+    };
+  }
+
+  /**
+   * Search logs across as many pages as needed to collect `total` events
+   *
+   * Walks backwards in time ('older', using max_id) or forwards ('newer',
+   * using min_id) from the given boundary event ID. The boundary event itself
+   * is never returned, so a follow-up call from the same boundary continues
+   * exactly where this one stopped.
+   *
+   * @param {string} query - Search query
+   * @param {Object} options - searchLogs options plus:
+   *   total: number of events to collect (default: limit or 100)
+   *   direction: 'older' (default) or 'newer'
+   *   system_ids: search several systems, merged by event ID
+   *   filter: keep only events this predicate accepts, paging on until `total` are kept
+   *   maxScan: with a filter, stop after fetching about this many events
+   *   maxPages: stop after this many API calls (default and upper bound: MAX_PAGES_PER_SEARCH)
+   * @returns {Promise<Object>} Search results with a `pagination` summary
+   */
+  async searchLogsPaged(query, options = {}) {
+    const {
+      total: requested,
+      direction = 'older',
+      system_ids: systemIds,
+      filter = null,
+      maxScan = Infinity,
+      maxPages = MAX_PAGES_PER_SEARCH,
+      ...searchOptions
+    } = options;
+    const total = requested || options.limit || 100;
+    // Filtered pages keep only some events, so fetch full pages
+    const pageSize = filter ? MAX_PAGE_SIZE : Math.min(total, MAX_PAGE_SIZE);
+    const older = direction === 'older';
+
+    let boundary = older ? options.max_id : options.min_id;
+    let events = [];
+    let pages = 0;
+    let scanned = 0;
+    let exhausted = false;
+    let lastPage = null;
+
+    const pageBudget = Math.min(maxPages, MAX_PAGES_PER_SEARCH);
+
+    while (events.length < total && pages < pageBudget && scanned < maxScan) {
+      // One extra slot for the boundary event in case max_id/min_id is inclusive
+      const pageLimit = Math.min(Math.min(pageSize, maxScan - scanned) + (boundary ? 1 : 0), MAX_PAGE_SIZE);
+      const pageOptions = {
+        ...searchOptions,
+        limit: pageLimit,
+        ...(older ? { max_id: boundary } : { min_id: boundary })
       };
+
+      const page = systemIds && systemIds.length > 1
+        ? await this.searchLogsAcrossSystems(query, systemIds, pageOptions)
+        : await this.searchLogs(query, {
+          ...pageOptions,
+          ...(systemIds?.length === 1 && { system_id: systemIds[0] })
+        });
+
+      if (!page.success) {
+        return page;
+      }
+
+      pages++;
+      lastPage = page;
+
+      // Drop the boundary event (max_id/min_id may be inclusive)
+      const fresh = page.events.filter(event => !boundary || (older
+        ? compareEventIds(event.id, boundary) < 0
+        : compareEventIds(event.id, boundary) > 0));
+
+      scanned += fresh.length;
+      const kept = filter ? fresh.filter(filter) : fresh;
+
+      // The boundary follows the fetched events, matching or not
+      if (older) {
+        events = kept.concat(events);
+        // reached_time_limit means Papertrail stopped scanning, not that nothing
+        // older matches: keep going from the oldest ID it scanned
+        exhausted = page.reachedBeginning || (fresh.length === 0 && !page.reachedTimeLimit);
+        const next = page.minId || fresh[0]?.id || boundary;
+        if (!exhausted && next === boundary) {
+          break;
+        }
+        boundary = next;
+      } else {
+        events = events.concat(kept);
+        exhausted = page.events.length < pageLimit;
+        boundary = fresh[fresh.length - 1]?.id || boundary;
+      }
+
+      if (exhausted) break;
     }
+
+    // Stopped by the scan budget rather than by collecting enough or running out
+    const scanLimitReached = !exhausted && events.length < total;
+
+    // The last page can overshoot; keep the events nearest the starting boundary
+    let trimmed = false;
+    if (events.length > total) {
+      events = older ? events.slice(-total) : events.slice(0, total);
+      exhausted = false;
+      trimmed = true;
+    }
+
+    // A filtered scan continues from where it stopped, not from the last kept event
+    const scanBoundary = filter && !trimmed ? boundary || null : null;
+
+    return {
+      ...lastPage,
+      events,
+      total: events.length,
+      minId: events[0]?.id || null,
+      maxId: events[events.length - 1]?.id || null,
+      metadata: {
+        ...lastPage.metadata,
+        limit: total
+      },
+      pagination: {
+        direction,
+        pages,
+        exhausted,
+        ...(filter && { scanned, scanLimitReached }),
+        oldestId: (older && scanBoundary) || events[0]?.id || null,
+        newestId: (!older && scanBoundary) || events[events.length - 1]?.id || (older ? null : options.min_id || null)
+      }
+    };
   }
 
   /**
    * Get systems (log sources) from Papertrail
+   * @param {Object} options - { fresh: bypass a cached list }
    */
-  async getSystems() {
+  async getSystems(options = {}) {
+    return this.cachedRequest('systems', {}, this.cache?.listTtl, () => this.fetchSystems(), options);
+  }
+
+  async fetchSystems() {
     try {
       const result = await this.makeRequest('/systems.json');
       return {
@@ -144,19 +600,20 @@ class PapertrailClient {
         systems: result || []
       };
     } catch (error) {
-      console.error('Error fetching Papertrail systems:', error);
-      return {
-        success: false,
-        error: error.message,
-        systems: []
-      };
+      log.error('Error fetching Papertrail systems', { error });
+      return failureResult(error, { systems: [] });
     }
   }
 
   /**
    * Get groups from Papertrail
+   * @param {Object} options - { fresh: bypass a cached list }
    */
-  async getGroups() {
+  async getGroups(options = {}) {
+    return this.cachedRequest('groups', {}, this.cache?.listTtl, () => this.fetchGroups(), options);
+  }
+
+  async fetchGroups() {
     try {
       const result = await this.makeRequest('/groups.json');
       return {
@@ -164,12 +621,8 @@ class PapertrailClient {
         groups: result || []
       };
     } catch (error) {
-      console.error('Error fetching Papertrail groups:', error);
-      return {
-        success: false,
-        error: error.message,
-        groups: []
-      };
+      log.error('Error fetching Papertrail groups', { error });
+      return failureResult(error, { groups: [] });
     }
   }
 
@@ -200,11 +653,9 @@ class PapertrailClient {
     ];
 
     for (const authMethod of authMethods) {
-      console.log(`Trying authentication method: ${authMethod.name}`);
-
       for (const endpoint of endpoints) {
         try {
-          console.log(`  Testing endpoint: ${endpoint}`);
+          log.debug('Testing Papertrail connection', { authMethod: authMethod.name, endpoint });
           const result = await this.makeRequestWithAuth(endpoint, authMethod.headers);
           return {
             success: true,
@@ -213,7 +664,11 @@ class PapertrailClient {
             endpoint
           };
         } catch (error) {
-          console.log(`    Failed: ${error.message}`);
+          log.debug('Papertrail connection test failed', {
+            authMethod: authMethod.name,
+            endpoint,
+            reason: error.message
+          });
         }
       }
     }
@@ -238,17 +693,13 @@ class PapertrailClient {
         'Accept': 'application/json',
         'User-Agent': `${config.mcp.name}/${config.mcp.version}`
       },
-      timeout: this.timeout
+      signal: AbortSignal.timeout(this.timeout)
     };
 
-    console.log(`      Request to: ${url}`);
-    console.log(`      Headers:`, requestOptions.headers);
-
     const response = await fetch(url, requestOptions);
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.log(`      Response: ${response.status} - ${errorText}`);
       throw new Error(`Papertrail API error (${response.status}): ${errorText}`);
     }
 
@@ -256,11 +707,11 @@ class PapertrailClient {
   }
 
   /**
-   * Get default minimum time (1 hour ago)
+   * Get default minimum time (SEARCH_DEFAULT_WINDOW ago, 30 days by default)
    */
   getDefaultMinTime() {
-    const oneMonthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    return Math.floor(oneMonthAgo.getTime() / 1000);
+    const windowStart = new Date(Date.now() - parseDuration(config.search.defaultWindow));
+    return Math.floor(windowStart.getTime() / 1000);
   }
 
   /**
@@ -271,10 +722,28 @@ class PapertrailClient {
   }
 
   /**
-   * Sleep utility for retry delays
+   * Sleep utility for retry delays; rejects as soon as the client's signal aborts
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const signal = this.signal;
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(ErrorHandler.createAbortError(signal, 'Papertrail API request'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(ErrorHandler.createAbortError(signal, 'Papertrail API request'));
+      };
+
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -295,14 +764,20 @@ class PapertrailClient {
       hostname: event.hostname,
       program: event.program,
       facility: event.facility,
-      severity: event.severity,
+      severity: severityName(event.severity) || event.severity,
+      severityLevel: severityLevel(event.severity),
       source: {
         ip: event.source_ip,
         name: event.source_name,
         id: event.source_id
-      }
+      },
+      // Set on events merged from several accounts
+      ...(event.account && { account: event.account }),
+      // Set on events reassembled from several stack trace lines
+      ...(event.stack_trace && { stackTrace: event.stack_trace })
     };
   }
 }
 
+export { MAX_PAGE_SIZE, compareEventIds };
 export default PapertrailClient;
@@ -0,0 +1,126 @@
+/**
+ * Log message pattern clustering
+ *
+ * Collapses near-identical lines into patterns by masking the parts that
+ * vary between them (IDs, numbers, UUIDs, IPs, hex values, quoted values),
+ * so hundreds of similar events read as a handful of patterns with counts.
+ */
+
+/**
+ * Masks applied in order, as [replacement, regex]; earlier masks protect
+ * their matches from later ones
+ */
+const MASKS = [
+  ['<ts>', /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g],
+  ['<uuid>', /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi],
+  ['<ip>', /\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g],
+  ['<hex>', /\b(?:0x[0-9a-f]+|(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,})\b/gi],
+  // Quoted values; quoted keys (followed by ":") are kept
+  [(match, colon) => colon ? match : '"<*>"', /"(?:[^"\\\n]|\\.)*"(\s*:)?/g],
+  // (a single quote after a letter is an apostrophe: "don't")
+  [(match, colon) => colon ? match : "'<*>'", /(?<![A-Za-z])'(?:[^'\\\n]|\\.)*'(\s*:)?/g],
+  // Numbers, including ones with a unit ("250ms"), but not inside words ("utf8")
+  ['<num>', /(?<![A-Za-z])\d+(?:\.\d+)?/g]
+];
+
+const DEFAULT_MAX_CLUSTERS = 20;
+
+// Hosts listed per cluster; the rest are only counted
+const MAX_LISTED_HOSTS = 10;
+
+/**
+ * Reduce a message to its pattern by masking variable parts
+ * @param {string} message - Log message
+ * @returns {string} Pattern, e.g. "GET /api/v2/orders/<num> status <num> in <num>ms"
+ */
+function extractPattern(message) {
+  let pattern = String(message || '').trim();
+  for (const [placeholder, regex] of MASKS) {
+    pattern = pattern.replace(regex, placeholder);
+  }
+  return pattern.replace(/\s+/g, ' ');
+}
+
+/**
+ * Group events by message pattern
+ * @param {Array} events - Raw Papertrail events (redacted), oldest first
+ * @param {Object} options - { maxClusters }
+ * @returns {Object} { clusters: [{ pattern, count, firstSeen, lastSeen, hosts, hostCount, example }], otherClusters, otherEvents }
+ */
+function clusterEvents(events, { maxClusters = DEFAULT_MAX_CLUSTERS } = {}) {
+  const byPattern = new Map();
+
+  for (const event of events) {
+    const pattern = extractPattern(event.message);
+    let cluster = byPattern.get(pattern);
+    if (!cluster) {
+      cluster = {
+        pattern,
+        count: 0,
+        firstSeen: event.received_at,
+        lastSeen: event.received_at,
+        hosts: new Set(),
+        example: {
+          id: event.id,
+          timestamp: event.received_at,
+          hostname: event.hostname,
+          program: event.program,
+          message: event.message
+        }
+      };
+      byPattern.set(pattern, cluster);
+    }
+
+    cluster.count++;
+    if (event.received_at < cluster.firstSeen) cluster.firstSeen = event.received_at;
+    if (event.received_at > cluster.lastSeen) cluster.lastSeen = event.received_at;
+    if (event.hostname) cluster.hosts.add(event.hostname);
+  }
+
+  const ranked = [...byPattern.values()].sort((a, b) => b.count - a.count);
+  const shown = ranked.slice(0, maxClusters);
+
+  return {
+    clusters: shown.map(cluster => ({
+      ...cluster,
+      hosts: [...cluster.hosts].sort().slice(0, MAX_LISTED_HOSTS),
+      hostCount: cluster.hosts.size
+    })),
+    otherClusters: ranked.length - shown.length,
+    otherEvents: ranked.slice(maxClusters).reduce((sum, cluster) => sum + cluster.count, 0)
+  };
+}
+
+/**
+ * Format clusters for presentation
+ * @param {Object} clustering - clusterEvents() result
+ * @param {number} total - Number of events clustered
+ */
+function formatClusters({ clusters, otherClusters, otherEvents }, total) {
+  let output = `🧩 ${clusters.length + otherClusters} patterns in ${total} events:\n\n`;
+
+  clusters.forEach((cluster, index) => {
+    const share = ((cluster.count / total) * 100).toFixed(1);
+    const hosts = cluster.hosts.join(', ') + (cluster.hostCount > cluster.hosts.length
+      ? ` and ${cluster.hostCount - cluster.hosts.length} more`
+      : '');
+
+    output += `${index + 1}. ×${cluster.count} (${share}%) ${cluster.pattern}\n`;
+    output += `   Seen: ${cluster.firstSeen} → ${cluster.lastSeen}\n`;
+    output += `   Hosts: ${hosts || 'unknown'}\n`;
+    output += `   Example (id: ${cluster.example.id}): ${cluster.example.message || ''}\n\n`;
+  });
+
+  if (otherClusters > 0) {
+    output += `… ${otherClusters} more patterns covering ${otherEvents} events\n`;
+  }
+
+  return output;
+}
+
+export {
+  DEFAULT_MAX_CLUSTERS,
+  extractPattern,
+  clusterEvents,
+  formatClusters
+};
@@ -0,0 +1,180 @@
+/**
+ * Compare two sets of log events
+ *
+ * Events are clustered into message patterns (see patternClusterer.js) and an
+ * observed set is compared against a baseline set whose counts are scaled to
+ * it, e.g. by window length or by event volume. Used by compare_windows and
+ * compare_cohorts.
+ */
+
+import { clusterEvents } from './patternClusterer.js';
+
+const DEFAULT_MIN_RATIO = 2;
+const DEFAULT_MIN_DELTA = 5;
+
+/**
+ * Whether an observed count differs significantly from the expected one
+ */
+function isSignificant(observed, expected, { minRatio = DEFAULT_MIN_RATIO, minDelta = DEFAULT_MIN_DELTA } = {}) {
+  // +1 smoothing keeps small counts from producing huge ratios
+  const ratio = (observed + 1) / (expected + 1);
+  return Math.abs(observed - expected) >= minDelta && (ratio >= minRatio || ratio <= 1 / minRatio);
+}
+
+/**
+ * Round a scaled count for display
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Cluster events and index the clusters by pattern
+ */
+function patternsOf(events) {
+  return new Map(
+    clusterEvents(events, { maxClusters: Infinity }).clusters.map(cluster => [cluster.pattern, cluster])
+  );
+}
+
+/**
+ * Compare message patterns of observed events against baseline events
+ * @param {Array} baselineEvents - Raw Papertrail events (redacted)
+ * @param {Array} observedEvents - Raw Papertrail events (redacted)
+ * @param {Object} options - { scale: factor applied to baseline counts, minRatio, minDelta, top }
+ * @returns {Object} { newPatterns, gonePatterns, changedPatterns }, each largest change first:
+ *   [{ pattern, baseline, observed, expected, delta, ratio, hosts, example }]
+ */
+function comparePatterns(baselineEvents, observedEvents, options) {
+  const { scale, top } = options;
+  const baselinePatterns = patternsOf(baselineEvents);
+  const observedPatterns = patternsOf(observedEvents);
+
+  const newPatterns = [];
+  const gonePatterns = [];
+  const changedPatterns = [];
+
+  // New and gone patterns pass the same threshold as changed ones, so a
+  // single stray line is not reported as new
+  for (const [pattern, cluster] of observedPatterns) {
+    const before = baselinePatterns.get(pattern);
+    if (!isSignificant(cluster.count, before ? before.count * scale : 0, options)) continue;
+    if (!before) {
+      newPatterns.push(patternChange(cluster, null, scale));
+    } else {
+      changedPatterns.push(patternChange(cluster, before, scale));
+    }
+  }
+
+  for (const [pattern, cluster] of baselinePatterns) {
+    if (!observedPatterns.has(pattern) && isSignificant(0, cluster.count * scale, options)) {
+      gonePatterns.push(patternChange(null, cluster, scale));
+    }
+  }
+
+  const byDelta = (a, b) => Math.abs(b.delta) - Math.abs(a.delta);
+
+  return {
+    newPatterns: newPatterns.sort(byDelta).slice(0, top),
+    gonePatterns: gonePatterns.sort(byDelta).slice(0, top),
+    changedPatterns: changedPatterns.sort(byDelta).slice(0, top)
+  };
+}
+
+/**
+ * Describe one pattern's change from the baseline
+ */
+function patternChange(observed, baseline, scale) {
+  const cluster = observed || baseline;
+  const expected = baseline ? baseline.count * scale : 0;
+  const count = observed ? observed.count : 0;
+
+  return {
+    pattern: cluster.pattern,
+    baseline: baseline?.count || 0,
+    observed: count,
+    expected: round(expected),
+    delta: round(count - expected),
+    ratio: expected > 0 ? round(count / expected) : null,
+    hosts: cluster.hosts,
+    example: cluster.example
+  };
+}
+
+/**
+ * Count events per key in both sets, largest change first
+ * @param {Function} keyOf - Event -> key, e.g. event => event.program
+ * @returns {Array} [{ name, baseline, observed, expected, delta }]
+ */
+function compareCounts(baselineEvents, observedEvents, keyOf, scale) {
+  const counts = new Map(); // key -> { baseline, observed }
+  const tally = (events, set) => events.forEach(event => {
+    const key = keyOf(event) || 'unknown';
+    const entry = counts.get(key) || { baseline: 0, observed: 0 };
+    entry[set]++;
+    counts.set(key, entry);
+  });
+
+  tally(baselineEvents, 'baseline');
+  tally(observedEvents, 'observed');
+
+  return [...counts.entries()]
+    .map(([name, { baseline, observed }]) => ({
+      name,
+      baseline,
+      observed,
+      expected: round(baseline * scale),
+      delta: round(observed - baseline * scale)
+    }))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * Format a signed delta
+ */
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Format a list of pattern changes
+ */
+function formatPatternChanges(title, changes) {
+  if (changes.length === 0) {
+    return '';
+  }
+
+  let output = `${title}\n`;
+  changes.forEach((change, index) => {
+    const ratio = change.ratio !== null ? ` (×${change.ratio})` : '';
+    output += `${index + 1}. ${change.baseline} → ${change.observed}${ratio} ${change.pattern}\n`;
+    output += `   Hosts: ${change.hosts.join(', ') || 'unknown'}\n`;
+    output += `   Example (id: ${change.example.id}): ${change.example.message || ''}\n`;
+  });
+  return `${output}\n`;
+}
+
+/**
+ * Format count deltas, e.g. per host or program
+ */
+function formatCountDeltas(title, deltas) {
+  if (deltas.length === 0) {
+    return '';
+  }
+
+  let output = `${title}\n`;
+  deltas.forEach(entry => {
+    output += `• ${entry.name}: ${entry.baseline} → ${entry.observed} (${formatDelta(entry.delta)} vs expected ${entry.expected})\n`;
+  });
+  return `${output}\n`;
+}
+
+export {
+  DEFAULT_MIN_RATIO,
+  DEFAULT_MIN_DELTA,
+  isSignificant,
+  comparePatterns,
+  compareCounts,
+  formatPatternChanges,
+  formatCountDeltas
+};
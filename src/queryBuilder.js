@@ -0,0 +1,421 @@
+/**
+ * Papertrail search query building and validation
+ *
+ * Papertrail's search syntax: words are ANDed, OR between terms, "-" in
+ * front of a term, phrase or group excludes it, "quoted phrases" match
+ * exactly, parentheses group, and host:/program: limit to a sender or
+ * program. There are no wildcards or regular expressions.
+ *
+ * buildQuery() compiles structured arguments (allTerms, anyTerms, ...) into
+ * that syntax; validateQuery() checks a raw query string, normalizes it and
+ * explains what is wrong with it.
+ */
+
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+
+const ATTRIBUTES = ['host', 'program'];
+
+// Prefixes that look like attributes but are searched as plain text
+const MISTAKEN_ATTRIBUTES = {
+  hostname: 'host: (e.g. host:web-1), or the system argument',
+  source: 'host: (e.g. host:web-1), or the system argument',
+  system: 'host: (e.g. host:web-1), or the system argument',
+  server: 'host: (e.g. host:web-1), or the system argument',
+  app: 'program: (e.g. program:nginx)',
+  application: 'program: (e.g. program:nginx)',
+  service: 'program: (e.g. program:nginx)',
+  process: 'program: (e.g. program:nginx)',
+  severity: 'the minSeverity or severities argument of search_logs',
+  level: 'the minSeverity or severities argument of search_logs',
+  facility: 'the facility argument of search_logs'
+};
+
+// Characters that need a term to be quoted
+const NEEDS_QUOTES = /[\s"():]|^-|^(?:AND|OR|NOT)$/;
+
+// Regex syntax that Papertrail would search for literally
+const REGEX_SYNTAX = /\\[dwsbDWS]|\.\*|\.\+|\[[^\]]*-[^\]]*\]|^\^|\(\?/;
+
+/**
+ * Tool input schema properties for building a query from parts, shared by search_logs and validate_query
+ */
+const QUERY_BUILDER_SCHEMA_PROPERTIES = {
+  allTerms: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Terms that must all appear, e.g. ["payment", "declined"]'
+  },
+  anyTerms: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Terms of which at least one must appear (ORed), e.g. ["timeout", "ETIMEDOUT"]'
+  },
+  excludeTerms: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Terms that must not appear, e.g. ["healthcheck"]'
+  },
+  phrases: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Exact phrases that must all appear, e.g. ["connection refused"]'
+  },
+  hosts: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Sender hostnames, any of which may match (host:), e.g. ["web-1", "web-2"]'
+  },
+  programs: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Programs, any of which may match (program:), e.g. ["nginx"]'
+  }
+};
+
+const BUILDER_FIELDS = Object.keys(QUERY_BUILDER_SCHEMA_PROPERTIES);
+
+/**
+ * Whether any structured query arguments are given
+ */
+function hasQueryParts(args) {
+  // Runs before argument validation, so wrongly typed parts are left to it
+  return BUILDER_FIELDS.some(field => Array.isArray(args[field]) && args[field].some(value => String(value).trim()));
+}
+
+/**
+ * Quote a term when Papertrail would otherwise read it as syntax
+ */
+function quoteTerm(term, field) {
+  const text = String(term).trim();
+  if (text.includes('"')) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Invalid ${field} "${text}": Papertrail search cannot match double quotes; leave them out`
+    );
+  }
+  return NEEDS_QUOTES.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Clean one builder argument: trimmed, non-empty values
+ */
+function partsOf(args, field) {
+  return (args[field] || []).map(value => String(value).trim()).filter(Boolean);
+}
+
+/**
+ * ORed alternatives, grouped when there are several
+ */
+function anyOf(terms) {
+  return terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0];
+}
+
+/**
+ * Compile a raw query and structured parts into one Papertrail query (all ANDed)
+ * @param {Object} args - { query, allTerms, anyTerms, excludeTerms, phrases, hosts, programs }
+ * @returns {string} Query string; empty when nothing was given
+ */
+function buildQuery(args) {
+  const clauses = [];
+
+  const raw = String(args.query || '').trim();
+  if (raw) {
+    // A top-level OR would otherwise swallow the other clauses
+    clauses.push(/\bOR\b/.test(raw) && hasQueryParts(args) ? `(${raw})` : raw);
+  }
+
+  partsOf(args, 'phrases').forEach(phrase => {
+    quoteTerm(phrase, 'phrases');
+    clauses.push(`"${phrase}"`);
+  });
+  partsOf(args, 'allTerms').forEach(term => clauses.push(quoteTerm(term, 'allTerms')));
+
+  const anyTerms = partsOf(args, 'anyTerms').map(term => quoteTerm(term, 'anyTerms'));
+  if (anyTerms.length > 0) {
+    clauses.push(anyOf(anyTerms));
+  }
+
+  const hosts = partsOf(args, 'hosts').map(host => `host:${quoteTerm(host, 'hosts')}`);
+  if (hosts.length > 0) {
+    clauses.push(anyOf(hosts));
+  }
+
+  const programs = partsOf(args, 'programs').map(program => `program:${quoteTerm(program, 'programs')}`);
+  if (programs.length > 0) {
+    clauses.push(anyOf(programs));
+  }
+
+  partsOf(args, 'excludeTerms').forEach(term => clauses.push(`-${quoteTerm(term, 'excludeTerms')}`));
+
+  return clauses.join(' ');
+}
+
+/**
+ * Split a query into tokens: phrase, term, attribute, operator, ( and )
+ * @returns {Object} { tokens: [{ type, text, negated, position, ... }], errors, warnings }
+ */
+function tokenize(query) {
+  const tokens = [];
+  const errors = [];
+  const warnings = [];
+  let negated = false;
+  let i = 0;
+
+  const readPhrase = start => {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+      errors.push({ position: start, message: `Unterminated quote at position ${start}: close the phrase with a second "` });
+      return { text: query.slice(start + 1), end: query.length };
+    }
+    return { text: query.slice(start + 1, end), end: end + 1 };
+  };
+
+  const push = token => {
+    tokens.push({ ...token, negated });
+    negated = false;
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      if (negated) {
+        warnings.push(`"-" at position ${i - 1} is not followed by a term: write -term without a space to exclude it`);
+        negated = false;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '-' && !negated) {
+      negated = true;
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      push({ type: char, text: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      const { text, end } = readPhrase(i);
+      if (!text.trim()) {
+        warnings.push(`Empty phrase "" at position ${i} searches for nothing; remove it`);
+      } else {
+        push({ type: 'phrase', text, position: i });
+      }
+      i = end;
+      continue;
+    }
+
+    // A bare word, up to whitespace, a parenthesis or a quote
+    const start = i;
+    while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+    const word = query.slice(start, i);
+
+    const attribute = /^([A-Za-z_]+):(.*)$/.exec(word);
+    if (attribute && ATTRIBUTES.includes(attribute[1].toLowerCase())) {
+      let value = attribute[2];
+      let quoted = false;
+      if (!value && query[i] === '"') {
+        const phrase = readPhrase(i);
+        value = phrase.text;
+        quoted = true;
+        i = phrase.end;
+      }
+      if (!value.trim()) {
+        warnings.push(`${attribute[1]}: at position ${start} has no value, e.g. ${attribute[1]}:web-1`);
+      } else {
+        push({ type: 'attribute', name: attribute[1].toLowerCase(), text: value, quoted, position: start });
+      }
+      continue;
+    }
+
+    if (attribute && MISTAKEN_ATTRIBUTES[attribute[1].toLowerCase()]) {
+      warnings.push(`"${attribute[1]}:" is not a Papertrail search attribute, so "${word}" is searched as text; use ${MISTAKEN_ATTRIBUTES[attribute[1].toLowerCase()]}`);
+    }
+
+    if (word === 'or' || word === 'and') {
+      warnings.push(`Lowercase "${word}" is searched as a word; write ${word.toUpperCase()} to combine terms`);
+    }
+
+    const operator = operatorOf(word);
+    if (operator) {
+      if (operator.warning) {
+        warnings.push(operator.warning);
+      }
+      if (operator.type === 'NOT') {
+        // NOT x is written -x
+        warnings.push('"NOT term" was rewritten as "-term"');
+        negated = true;
+        while (i < query.length && /\s/.test(query[i])) i++;
+        continue;
+      }
+      push({ type: 'operator', text: operator.type, position: start });
+      continue;
+    }
+
+    if (/[*?]/.test(word)) {
+      warnings.push(`"${word}": Papertrail search has no wildcards, so * and ? are searched literally; use the regex argument of search_logs`);
+    } else if (REGEX_SYNTAX.test(word)) {
+      warnings.push(`"${word}" looks like a regular expression, which Papertrail searches literally; use the regex argument of search_logs`);
+    }
+
+    push({ type: 'term', text: word, position: start });
+  }
+
+  if (negated) {
+    warnings.push('The query ends with "-": put the term to exclude right after it');
+  }
+
+  return { tokens, errors, warnings };
+}
+
+/**
+ * Recognise boolean operators, including common mistakes
+ * @returns {Object|null} { type: 'AND'|'OR'|'NOT', warning }
+ */
+function operatorOf(word) {
+  switch (word) {
+    case 'AND':
+    case 'OR':
+    case 'NOT':
+      return { type: word };
+    case '&&':
+      return { type: 'AND', warning: '"&&" was read as AND' };
+    case '||':
+      return { type: 'OR', warning: '"||" was read as OR' };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check the order of tokens: operators between terms, balanced parentheses
+ * (only unbalanced parentheses are errors)
+ */
+function checkStructure(tokens, errors, warnings) {
+  let depth = 0;
+  let previous = null;
+
+  tokens.forEach(token => {
+    if (token.type === 'operator') {
+      if (token.negated) {
+        warnings.push(`"-${token.text}" at position ${token.position}: an operator cannot be excluded`);
+      }
+      if (!previous || previous.type === 'operator' || previous.type === '(') {
+        warnings.push(`${token.text} at position ${token.position} has no term before it`);
+      }
+    }
+
+    if (token.type === '(') {
+      depth++;
+    }
+
+    if (token.type === ')') {
+      if (token.negated) {
+        warnings.push(`"-" before ")" at position ${token.position} is not followed by a term`);
+      }
+      if (previous?.type === '(') {
+        warnings.push(`Empty parentheses at position ${previous.position} group nothing`);
+      } else if (previous?.type === 'operator') {
+        warnings.push(`${previous.text} at position ${previous.position} has no term after it`);
+      }
+      if (depth === 0) {
+        errors.push({ position: token.position, message: `")" at position ${token.position} has no matching "("` });
+      } else {
+        depth--;
+      }
+    }
+
+    previous = token;
+  });
+
+  if (previous?.type === 'operator') {
+    warnings.push(`The query ends with ${previous.text}: add a term after it or remove it`);
+  }
+  if (depth > 0) {
+    errors.push({ position: null, message: `${depth} "(" not closed: add the missing ")"` });
+  }
+
+  const matching = tokens.filter(token => ['term', 'phrase', 'attribute'].includes(token.type));
+  if (matching.length > 0 && matching.every(token => token.negated) && !tokens.some(token => token.type === '(' && token.negated)) {
+    warnings.push('Every term is excluded, so the query matches almost every event; add a term to look for');
+  }
+
+  const short = matching.filter(token => token.type === 'term' && !token.negated && token.text.length < 2);
+  if (short.length > 0) {
+    warnings.push(`Very short terms match almost everything: ${short.map(token => `"${token.text}"`).join(', ')}`);
+  }
+}
+
+/**
+ * Render tokens back into a normalized query string
+ */
+function formatTokens(tokens) {
+  return tokens
+    .map(token => {
+      const prefix = token.negated ? '-' : '';
+      switch (token.type) {
+        case 'phrase':
+          return `${prefix}"${token.text}"`;
+        case 'attribute':
+          return `${prefix}${token.name}:${token.quoted || /\s/.test(token.text) ? `"${token.text}"` : token.text}`;
+        default:
+          return `${prefix}${token.text}`;
+      }
+    })
+    .join(' ')
+    .replace(/\( /g, '(')
+    .replace(/ \)/g, ')');
+}
+
+/**
+ * Check and normalize a Papertrail search query. Only what Papertrail cannot
+ * parse (an empty query, unterminated quotes, unbalanced parentheses) is an error.
+ * @param {string} query - Raw query string
+ * @returns {Object} { valid, query, normalized, errors: [{ position, message }], warnings,
+ *   terms: { included, excluded, hosts, programs } }
+ */
+function validateQuery(query) {
+  const text = String(query ?? '');
+  const { tokens, errors, warnings } = tokenize(text);
+
+  if (!text.trim()) {
+    errors.push({ position: null, message: 'The query is empty: give at least one term to search for' });
+  }
+
+  checkStructure(tokens, errors, warnings);
+
+  const valid = errors.length === 0;
+  return {
+    valid,
+    query: text,
+    normalized: valid ? formatTokens(tokens) : null,
+    errors,
+    warnings,
+    terms: {
+      included: tokens.filter(token => !token.negated && ['term', 'phrase'].includes(token.type)).map(token => token.text),
+      excluded: tokens.filter(token => token.negated && ['term', 'phrase'].includes(token.type)).map(token => token.text),
+      hosts: tokens.filter(token => token.type === 'attribute' && token.name === 'host').map(token => token.text),
+      programs: tokens.filter(token => token.type === 'attribute' && token.name === 'program').map(token => token.text)
+    }
+  };
+}
+
+/**
+ * Format validation errors as one message
+ */
+function formatQueryErrors(validation) {
+  return validation.errors.map(error => error.message).join('; ');
+}
+
+export {
+  QUERY_BUILDER_SCHEMA_PROPERTIES,
+  hasQueryParts,
+  buildQuery,
+  validateQuery,
+  formatQueryErrors
+};
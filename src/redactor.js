@@ -0,0 +1,210 @@
+/**
+ * Redaction of sensitive data in log events
+ *
+ * Log lines returned to the model can contain emails, card numbers, tokens
+ * and passwords. Every tool that returns event messages passes them through
+ * the redactor first and reports how many values were replaced.
+ */
+
+import { config, parseRedactionPatterns } from './config.js';
+import { logger, accountTokens } from './logger.js';
+
+const log = logger.child({ component: 'redactor' });
+
+/**
+ * Luhn checksum, to tell card numbers apart from other long digit runs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors. `replace` receives the match and the replacement
+ * marker and returns the redacted text, or null to leave the match alone.
+ */
+const BUILT_IN_DETECTORS = {
+  email: {
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  credit_card: {
+    // 13-19 digits starting like a Visa/Mastercard/Amex/Discover number, so epoch millis are left alone
+    regex: /\b[3-6]\d(?:[ -]?\d){11,17}\b/g,
+    replace: (match, marker) => passesLuhn(match.replace(/[ -]/g, '')) ? marker : null
+  },
+  bearer_token: {
+    regex: /\b(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi,
+    replace: (match, marker, prefix) => `${prefix}${marker}`
+  },
+  jwt: {
+    regex: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+  },
+  password: {
+    regex: /(?<![A-Za-z])((?:password|passwd|pwd)["']?\s*[:=]\s*["']?)([^"'\s&,;]+)/gi,
+    replace: (match, marker, prefix) => `${prefix}${marker}`
+  },
+  api_key: {
+    regex: /(?<![A-Za-z])((?:api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret|secret|token)["']?\s*[:=]\s*["']?)([^"'\s&,;]+)/gi,
+    replace: (match, marker, prefix) => `${prefix}${marker}`
+  }
+};
+
+/**
+ * Escape a literal string for use in a RegExp
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class Redactor {
+  /**
+   * @param {Object} options - { enabled, detectors: names, customPatterns: REDACTION_PATTERNS JSON, secrets: literal strings }
+   */
+  constructor(options = {}) {
+    const {
+      enabled = config.redaction.enabled,
+      detectors = config.redaction.detectors,
+      customPatterns = config.redaction.customPatterns,
+      secrets = accountTokens()
+    } = options;
+
+    // API tokens are always removed, even with redaction disabled
+    this.rules = secrets
+      .filter(secret => secret && secret.length >= 8)
+      .map(secret => ({ name: 'papertrail_token', regex: new RegExp(escapeRegExp(secret), 'g') }));
+
+    if (!enabled) {
+      return;
+    }
+
+    for (const name of detectors) {
+      const detector = BUILT_IN_DETECTORS[name];
+      if (!detector) {
+        log.warn('Unknown redaction detector ignored', { detector: name });
+        continue;
+      }
+      this.rules.push({ name, ...detector });
+    }
+
+    try {
+      for (const { name, pattern, flags } of parseRedactionPatterns(customPatterns)) {
+        const regexFlags = flags.includes('g') ? flags : `${flags}g`;
+        this.rules.push({ name, regex: new RegExp(pattern, regexFlags) });
+      }
+    } catch (error) {
+      // validateConfig rejects bad patterns at startup; this only guards direct construction
+      log.warn('Invalid REDACTION_PATTERNS ignored', { reason: error.message });
+    }
+  }
+
+  /**
+   * Redact a single string
+   * @returns {Object} { text, counts: { [rule]: number } }
+   */
+  redact(text) {
+    const counts = {};
+    if (typeof text !== 'string' || text === '') {
+      return { text, counts };
+    }
+
+    let redacted = text;
+    for (const rule of this.rules) {
+      const marker = `[REDACTED:${rule.name}]`;
+      redacted = redacted.replace(rule.regex, (match, ...groups) => {
+        const replacement = rule.replace ? rule.replace(match, marker, groups[0]) : marker;
+        if (replacement === null) {
+          return match;
+        }
+        counts[rule.name] = (counts[rule.name] || 0) + 1;
+        return replacement;
+      });
+    }
+
+    return { text: redacted, counts };
+  }
+
+  /**
+   * Redact the messages of raw Papertrail events
+   * @param {Array} events - Events as returned by the API (not modified)
+   * @returns {Object} { events: redacted copies, redactions: { total, byRule } }
+   */
+  redactEvents(events) {
+    let redactions = emptyRedactions();
+
+    const redactedEvents = events.map(event => {
+      const { text, counts } = this.redact(event.message);
+      if (Object.keys(counts).length === 0) {
+        return event;
+      }
+      redactions = mergeRedactions(redactions, countsToRedactions(counts));
+      return { ...event, message: text };
+    });
+
+    return { events: redactedEvents, redactions };
+  }
+}
+
+/**
+ * Redaction summary with nothing redacted
+ */
+function emptyRedactions() {
+  return { total: 0, byRule: {} };
+}
+
+/**
+ * Build a redaction summary from per-rule counts
+ */
+function countsToRedactions(counts) {
+  return {
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    byRule: { ...counts }
+  };
+}
+
+/**
+ * Add two redaction summaries
+ */
+function mergeRedactions(a, b) {
+  const byRule = { ...a.byRule };
+  for (const [name, count] of Object.entries(b.byRule)) {
+    byRule[name] = (byRule[name] || 0) + count;
+  }
+  return { total: a.total + b.total, byRule };
+}
+
+/**
+ * Format a redaction summary as one line, or '' when nothing was redacted
+ */
+function formatRedactions(redactions) {
+  if (!redactions || redactions.total === 0) {
+    return '';
+  }
+
+  const details = Object.entries(redactions.byRule)
+    .map(([name, count]) => `${name}: ${count}`)
+    .join(', ');
+  return `🛡️ Redacted: ${redactions.total} value${redactions.total === 1 ? '' : 's'} (${details})\n`;
+}
+
+// Global redactor instance
+const globalRedactor = new Redactor();
+
+export {
+  Redactor,
+  globalRedactor,
+  BUILT_IN_DETECTORS,
+  emptyRedactions,
+  countsToRedactions,
+  mergeRedactions,
+  formatRedactions
+};
@@ -0,0 +1,167 @@
+/**
+ * Cache for Papertrail API responses
+ *
+ * Assistants often repeat the same search within seconds. Successful responses
+ * are kept for a TTL that depends on whether the searched window can still
+ * change, concurrent identical requests share one API call, and the total size
+ * is bounded by evicting the least recently used entries.
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'cache' });
+
+// Events can arrive this late, so a window that ended more recently can still change
+const INGESTION_LAG_MS = 5 * 60 * 1000;
+
+// Failures caused by the first caller's own deadline or cancellation, not by the request
+const CALLER_ABORT_CODES = ['TIMEOUT', 'CANCELLED'];
+
+class ResponseCache {
+  /**
+   * @param {Object} options - { enabled, historicalTtl, liveTtl, listTtl (ms), maxBytes }
+   */
+  constructor(options = {}) {
+    const { enabled, historicalTtl, liveTtl, listTtl, maxBytes } = { ...config.cache, ...options };
+    this.enabled = enabled;
+    this.historicalTtl = historicalTtl;
+    this.liveTtl = liveTtl;
+    this.listTtl = listTtl;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> { value, size, expiresAt }, least recently used first
+    this.pending = new Map(); // key -> Promise of the in-flight request
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+  }
+
+  /**
+   * Whether a search window ended long enough ago that its results are final
+   * @param {number} [maxTime] - Window end in Unix seconds; omitted means now
+   */
+  isHistorical(maxTime, now = Date.now()) {
+    return Boolean(maxTime) && maxTime * 1000 < now - INGESTION_LAG_MS;
+  }
+
+  /**
+   * TTL for a search window
+   * @param {number} [maxTime] - Window end in Unix seconds; omitted means now
+   */
+  searchTtl(maxTime, now = Date.now()) {
+    return this.isHistorical(maxTime, now) ? this.historicalTtl : this.liveTtl;
+  }
+
+  /**
+   * Return the cached result for a key, or fetch it once for all concurrent callers.
+   * Only successful results ({ success: true }) are stored.
+   * @param {string} key - Normalized request key
+   * @param {number} ttl - Time to keep the result, in milliseconds (0 bypasses the cache)
+   * @param {Function} fetcher - Performs the request
+   * @param {Object} options - { fresh: skip the stored result but still store the new one }
+   * @returns {Promise<Object>} The result, with `cache` set to 'hit', 'miss' or 'coalesced'
+   */
+  async get(key, ttl, fetcher, { fresh = false } = {}) {
+    if (!this.enabled || !(ttl > 0)) {
+      return fetcher();
+    }
+
+    const entry = this.entries.get(key);
+    if (entry && !fresh && entry.expiresAt > Date.now()) {
+      // Re-insert so eviction order stays least recently used first
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.counters.hits++;
+      return { ...entry.value, cache: 'hit' };
+    }
+
+    if (this.pending.has(key)) {
+      this.counters.coalesced++;
+      const value = await this.pending.get(key);
+      // The shared request was cut short by its own caller; make ours separately
+      if (!value.success && CALLER_ABORT_CODES.includes(value.code)) {
+        return this.get(key, ttl, fetcher, { fresh });
+      }
+      return { ...value, cache: 'coalesced' };
+    }
+
+    this.counters.misses++;
+    const request = Promise.resolve()
+      .then(fetcher)
+      .then(value => {
+        if (value?.success) {
+          this.set(key, value, ttl);
+        }
+        return value;
+      })
+      .finally(() => {
+        this.pending.delete(key);
+      });
+    this.pending.set(key, request);
+
+    return { ...(await request), cache: 'miss' };
+  }
+
+  /**
+   * Store a result, evicting least recently used entries beyond the memory bound
+   */
+  set(key, value, ttl) {
+    const size = Buffer.byteLength(JSON.stringify(value));
+    this.delete(key);
+    if (size > this.maxBytes) {
+      log.debug('Response too large to cache', { size, maxBytes: this.maxBytes });
+      return;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttl });
+    this.bytes += size;
+
+    for (const oldKey of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.delete(oldKey);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Remove one entry
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Drop every stored result
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Hit/miss counters and current size
+   */
+  getStats() {
+    const lookups = this.counters.hits + this.counters.misses + this.counters.coalesced;
+    return {
+      enabled: this.enabled,
+      ...this.counters,
+      hitRate: lookups > 0 ? Math.round(((this.counters.hits + this.counters.coalesced) / lookups) * 1000) / 1000 : null,
+      entries: this.entries.size,
+      inFlight: this.pending.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+// Shared cache so repeated calls from any session reuse responses
+const globalResponseCache = new ResponseCache();
+
+export {
+  ResponseCache,
+  globalResponseCache
+};
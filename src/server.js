@@ -8,11 +8,52 @@ import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { 
   ListToolsRequestSchema, 
-  CallToolRequestSchema 
+  CallToolRequestSchema,
+  SetLevelRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 import { config, validateConfig } from './config.js';
+import { logger, runWithLogContext, createClientLogForwarder } from './logger.js';
 import { searchLogsTool, executeSearchLogs } from './tools/searchLogs.js';
+import { listSystemsTool, executeListSystems } from './tools/listSystems.js';
+import { listGroupsTool, executeListGroups } from './tools/listGroups.js';
+import { tailLogsTool, executeTailLogs, TAIL_DEFAULTS } from './tools/tailLogs.js';
+import { getEventContextTool, executeGetEventContext } from './tools/getEventContext.js';
+import { aggregateLogsTool, executeAggregateLogs } from './tools/aggregateLogs.js';
+import { clusterLogsTool, executeClusterLogs } from './tools/clusterLogs.js';
+import { compareWindowsTool, executeCompareWindows } from './tools/compareWindows.js';
+import { compareCohortsTool, executeCompareCohorts } from './tools/compareCohorts.js';
+import { getStackTraceTool, executeGetStackTrace } from './tools/getStackTrace.js';
+import { traceRequestTool, executeTraceRequest } from './tools/traceRequest.js';
+import { validateQueryTool, executeValidateQuery } from './tools/validateQuery.js';
+import { listAccountsTool, executeListAccounts } from './tools/listAccounts.js';
+import { startHttpServer, ENDPOINTS } from './transports/httpTransport.js';
 import PapertrailClient from './papertrailClient.js';
+import { ErrorHandler } from './middleware/errorHandler.js';
+
+/**
+ * Tools exposed by every MCP session
+ */
+const TOOLS = [
+  searchLogsTool,
+  listSystemsTool,
+  listGroupsTool,
+  tailLogsTool,
+  getEventContextTool,
+  getStackTraceTool,
+  traceRequestTool,
+  aggregateLogsTool,
+  clusterLogsTool,
+  compareWindowsTool,
+  compareCohortsTool,
+  validateQueryTool,
+  listAccountsTool
+];
+const TOOL_NAMES = TOOLS.map(tool => tool.name).join(', ');
+
+const log = logger.child({ component: 'server' });
+
+// How long a tool gets to wrap up (e.g. return a partial tail) after its signal aborts
+const ABORT_GRACE_MS = 1000;
 
 /**
  * Create and configure the MCP server
@@ -25,7 +66,8 @@ function createMcpServer() {
     },
     {
       capabilities: {
-        tools: {}
+        tools: {},
+        logging: {}
       }
     }
   );
@@ -35,37 +77,153 @@ function createMcpServer() {
 
 /**
  * Register MCP tools with the server
+ * @param {Server} server - Session server
+ * @param {Object} session - Per-session state ({ clientLogLevel })
  */
-function registerTools(server) {
-  // Register search_logs tool
+function registerTools(server, session = { clientLogLevel: null }) {
+  // Register tool list
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
-      tools: [searchLogsTool]
+      tools: TOOLS
     };
   });
 
   // Handle tool execution
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const { name, arguments: args } = request.params;
+    const clientId = extra?.sessionId || 'default';
     
-    console.log(`Executing tool: ${name}`, args);
+    const logContext = {
+      bindings: {
+        requestId: extra?.requestId,
+        sessionId: extra?.sessionId,
+        tool: name
+      },
+      forward: extra?.sendNotification
+        ? createClientLogForwarder(() => session.clientLogLevel, extra.sendNotification)
+        : null
+    };
     
-    switch (name) {
-      case 'search_logs':
-        return await executeSearchLogs(args);
-      
-      default:
-        throw new Error(`Unknown tool: ${name}`);
+    return runWithLogContext(logContext, () => {
+      log.info('Executing tool', { args });
+      return executeToolWithDeadline(name, args, clientId, extra);
+    });
+  });
+}
+
+/**
+ * Deadline for a tool call; tail_logs gets its watch duration on top
+ */
+function getToolDeadlineMs(name, args = {}) {
+  if (name === 'tail_logs') {
+    return (args.durationSeconds || TAIL_DEFAULTS.durationSeconds) * 1000 + config.mcp.toolTimeout;
+  }
+  return config.mcp.toolTimeout;
+}
+
+/**
+ * Run a tool with a signal that aborts on MCP cancellation or when the call
+ * deadline passes. Tools pass the signal to their Papertrail client; if a tool
+ * has not returned shortly after the abort, a TIMEOUT/CANCELLED error is returned.
+ */
+async function executeToolWithDeadline(name, args, clientId, extra = {}) {
+  const deadline = AbortSignal.timeout(getToolDeadlineMs(name, args));
+  const signal = extra.signal ? AbortSignal.any([extra.signal, deadline]) : deadline;
+
+  let graceTimer;
+  const aborted = new Promise(resolve => {
+    const abort = () => {
+      graceTimer = setTimeout(() => {
+        log.warn('Tool did not stop after abort', { reason: signal.reason?.name || 'cancelled' });
+        resolve(ErrorHandler.formatMcpError(
+          ErrorHandler.createAbortError(signal, `${name} call`),
+          { tool: name, clientId }
+        ));
+      }, ABORT_GRACE_MS);
+    };
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort, { once: true });
     }
   });
+
+  try {
+    return await Promise.race([
+      executeTool(name, args, clientId, { ...extra, signal }),
+      aborted
+    ]);
+  } finally {
+    clearTimeout(graceTimer);
+  }
+}
+
+/**
+ * Dispatch a tool call to its implementation
+ */
+async function executeTool(name, args, clientId, extra) {
+  switch (name) {
+    case 'search_logs':
+      return await executeSearchLogs(args, clientId, extra);
+    
+    case 'list_systems':
+      return await executeListSystems(args, clientId, extra);
+    
+    case 'list_groups':
+      return await executeListGroups(args, clientId, extra);
+    
+    case 'tail_logs':
+      return await executeTailLogs(args, clientId, extra);
+    
+    case 'get_event_context':
+      return await executeGetEventContext(args, clientId, extra);
+    
+    case 'get_stack_trace':
+      return await executeGetStackTrace(args, clientId, extra);
+    
+    case 'trace_request':
+      return await executeTraceRequest(args, clientId, extra);
+    
+    case 'aggregate_logs':
+      return await executeAggregateLogs(args, clientId, extra);
+    
+    case 'cluster_logs':
+      return await executeClusterLogs(args, clientId, extra);
+    
+    case 'compare_windows':
+      return await executeCompareWindows(args, clientId, extra);
+    
+    case 'compare_cohorts':
+      return await executeCompareCohorts(args, clientId, extra);
+    
+    case 'validate_query':
+      return await executeValidateQuery(args, clientId);
+    
+    case 'list_accounts':
+      return await executeListAccounts(args, clientId);
+    
+    default:
+      throw new Error(`Unknown tool: ${name}`);
+  }
+}
+
+/**
+ * Track the log level the client asks for, which gates log forwarding
+ */
+function registerLoggingHandlers(server, session) {
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    session.clientLogLevel = request.params.level;
+    log.debug('Client log level set', { level: request.params.level });
+    return {};
+  });
 }
 
 /**
  * Register server information handlers
  */
-function registerServerInfo(server) {
+function registerServerInfo() {
   // Note: initialization and ping are handled automatically by the MCP SDK
-  console.log('Server info handlers registered (handled by SDK)');
+  log.debug('Server info handlers registered (handled by SDK)');
 }
 
 /**
@@ -73,39 +231,81 @@ function registerServerInfo(server) {
  */
 function registerErrorHandlers(server) {
   server.onerror = (error) => {
-    console.error('MCP Server error:', error);
+    log.error('MCP Server error', { error });
   };
+}
 
+/**
+ * Register process-wide error handlers (once per process, not per session)
+ */
+function registerProcessErrorHandlers() {
   // Handle uncaught exceptions
   process.on('uncaughtException', (error) => {
-    console.error('Uncaught exception in MCP server:', error);
+    log.error('Uncaught exception in MCP server', { error });
     process.exit(1);
   });
 
   process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled rejection in MCP server:', reason);
+    log.error('Unhandled rejection in MCP server', { error: reason });
     process.exit(1);
   });
 }
 
 /**
- * Test Papertrail connectivity on startup
+ * Create a fully configured MCP server for a single client session
+ */
+function createSessionServer() {
+  const server = createMcpServer();
+  const session = { clientLogLevel: null };
+  registerTools(server, session);
+  registerLoggingHandlers(server, session);
+  registerErrorHandlers(server);
+  return server;
+}
+
+/**
+ * Connect a single MCP server over stdin/stdout
+ */
+async function startStdioTransport() {
+  const server = createSessionServer();
+  const transport = new StdioServerTransport();
+  
+  log.info('Starting MCP server on stdio transport');
+  await server.connect(transport);
+  
+  return 'stdio';
+}
+
+/**
+ * Serve MCP sessions over HTTP (Streamable HTTP and legacy SSE)
+ */
+async function startHttpTransport() {
+  const { port, host } = config.server;
+  
+  log.info('Starting MCP server on HTTP transport', { host, port });
+  await startHttpServer(createSessionServer, { port, host });
+  
+  return `http://${host}:${port} (streamable: ${ENDPOINTS.STREAMABLE}, sse: ${ENDPOINTS.SSE})`;
+}
+
+/**
+ * Test Papertrail connectivity of every account on startup
  */
 async function testPapertrailConnection() {
-  try {
-    console.log('Testing Papertrail API connection...');
-    const client = new PapertrailClient();
-    const result = await client.testConnection();
-    
-    if (result.success) {
-      console.log('✓ Successfully connected to Papertrail API');
-    } else {
-      console.error('✗ Failed to connect to Papertrail API:', result.error);
-      console.warn('Warning: Server will start but log searches may fail');
+  for (const account of Object.values(config.accounts)) {
+    try {
+      log.info('Testing Papertrail API connection', { account: account.name });
+      const client = new PapertrailClient({ account });
+      const result = await client.testConnection();
+      
+      if (result.success) {
+        log.info('Connected to Papertrail API', { account: account.name, authMethod: result.authMethod, endpoint: result.endpoint });
+      } else {
+        log.warn('Failed to connect to Papertrail API; server will start but log searches may fail', { account: account.name, reason: result.error });
+      }
+    } catch (error) {
+      log.warn('Error testing Papertrail connection; server will start but log searches may fail', { account: account.name, error });
     }
-  } catch (error) {
-    console.error('✗ Error testing Papertrail connection:', error.message);
-    console.warn('Warning: Server will start but log searches may fail');
   }
 }
 
@@ -114,44 +314,37 @@ async function testPapertrailConnection() {
  */
 async function startServer() {
   try {
-    console.log(`Starting ${config.mcp.name} v${config.mcp.version}...`);
+    log.info(`Starting ${config.mcp.name} v${config.mcp.version}`);
     
     // Validate configuration
     validateConfig();
-    console.log('✓ Configuration validated');
+    log.debug('Configuration validated');
     
     // Test Papertrail connection
     await testPapertrailConnection();
     
-    // Create and configure server
-    const server = createMcpServer();
-    
     // Register handlers
-    registerServerInfo(server);
-    registerTools(server);
-    registerErrorHandlers(server);
+    registerServerInfo();
+    registerProcessErrorHandlers();
     
-    console.log('✓ MCP server configured');
-    console.log('Available tools: search_logs');
+    log.debug('MCP server configured', { tools: TOOL_NAMES });
     
-    // Use stdio transport for MCP communication
-    const transport = new StdioServerTransport();
+    // Each session gets its own server instance; stdio has exactly one session
+    const transportInfo = config.mcp.transport === 'stdio'
+      ? await startStdioTransport()
+      : await startHttpTransport();
     
-    console.log('✓ Starting MCP server on stdio transport...');
-    
-    // Start the server
-    await server.connect(transport);
-    
-    console.log(`✓ ${config.mcp.name} MCP server is running and ready for connections`);
-    console.log('Server info:');
-    console.log(`  - Name: ${config.mcp.name}`);
-    console.log(`  - Version: ${config.mcp.version}`);
-    console.log(`  - Transport: stdio`);
-    console.log(`  - Tools: search_logs`);
-    console.log(`  - Papertrail API: ${config.papertrail.baseUrl}`);
+    log.info(`${config.mcp.name} MCP server is running and ready for connections`, {
+      name: config.mcp.name,
+      version: config.mcp.version,
+      transport: transportInfo,
+      tools: TOOL_NAMES,
+      accounts: Object.keys(config.accounts),
+      defaultAccount: config.defaultAccount
+    });
     
   } catch (error) {
-    console.error('Failed to start MCP server:', error);
+    log.error('Failed to start MCP server', { error });
     process.exit(1);
   }
 }
@@ -164,7 +357,7 @@ function setupGracefulShutdown() {
   
   signals.forEach(signal => {
     process.on(signal, () => {
-      console.log(`\nReceived ${signal}, shutting down gracefully...`);
+      log.info(`Received ${signal}, shutting down gracefully`);
       process.exit(0);
     });
   });
@@ -174,13 +367,14 @@ function setupGracefulShutdown() {
 if (import.meta.url === `file://${process.argv[1]}`) {
   setupGracefulShutdown();
   startServer().catch(error => {
-    console.error('Failed to start server:', error);
+    log.error('Failed to start server', { error });
     process.exit(1);
   });
 }
 
 export {
   createMcpServer,
+  createSessionServer,
   registerTools,
   registerServerInfo,
   startServer
@@ -0,0 +1,122 @@
+/**
+ * Syslog severities
+ *
+ * Papertrail reports an event's severity by name ("Error"); syslog numbers
+ * them from 0 (Emergency) to 7 (Debug). Names, numbers and the usual
+ * abbreviations ("err", "warn") are accepted wherever a severity is given.
+ */
+
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+
+// Most severe first, indexed by syslog level
+const SEVERITIES = ['Emergency', 'Alert', 'Critical', 'Error', 'Warning', 'Notice', 'Info', 'Debug'];
+
+// Levels up to and including Error count as errors
+const ERROR_LEVEL = 3;
+
+const ALIASES = {
+  emerg: 0,
+  panic: 0,
+  crit: 2,
+  err: 3,
+  warn: 4,
+  informational: 6
+};
+
+/**
+ * Tool input schema properties for severity filters
+ */
+const SEVERITY_SCHEMA_PROPERTIES = {
+  minSeverity: {
+    type: 'string',
+    description: 'Least severe level to include, e.g. "warning" for Warning and above. Names (emergency, alert, critical, error, warning, notice, info, debug; err, warn, crit also work) or syslog numbers 0-7.'
+  },
+  severities: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only these severities, e.g. ["error", "critical"] (names or numbers 0-7)'
+  }
+};
+
+/**
+ * Syslog level of a severity name or number
+ * @returns {number|null} 0 (Emergency) to 7 (Debug), or null if unknown
+ */
+function severityLevel(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value < SEVERITIES.length ? value : null;
+  }
+
+  const text = String(value ?? '').trim().toLowerCase();
+  if (/^\d$/.test(text)) {
+    return severityLevel(Number(text));
+  }
+
+  const index = SEVERITIES.findIndex(name => name.toLowerCase() === text);
+  if (index !== -1) {
+    return index;
+  }
+  return ALIASES[text] ?? null;
+}
+
+/**
+ * Canonical name of a severity name or number ("err" -> "Error", 4 -> "Warning")
+ * @returns {string|null}
+ */
+function severityName(value) {
+  const level = severityLevel(value);
+  return level === null ? null : SEVERITIES[level];
+}
+
+/**
+ * Whether a severity counts as an error (Emergency to Error)
+ */
+function isErrorSeverity(value) {
+  const level = severityLevel(value);
+  return level !== null && level <= ERROR_LEVEL;
+}
+
+/**
+ * Parse a severity argument
+ * @param {string} name - Argument name, for the error message
+ * @returns {number} Syslog level
+ */
+function parseSeverity(value, name) {
+  const level = severityLevel(value);
+  if (level === null) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Invalid ${name} "${value}". Use one of ${SEVERITIES.map(severity => severity.toLowerCase()).join(', ')}, or a number from 0 (emergency) to 7 (debug).`
+    );
+  }
+  return level;
+}
+
+/**
+ * Build an event predicate for minSeverity/severities (both must hold)
+ * Events without a recognised severity never match.
+ * @returns {Function|null} event => boolean, or null without either
+ */
+function createSeverityFilter({ minSeverity, severities }) {
+  const min = minSeverity !== undefined && minSeverity !== null ? parseSeverity(minSeverity, 'minSeverity') : null;
+  const allowed = severities?.length ? new Set(severities.map(value => parseSeverity(value, 'severities'))) : null;
+
+  if (min === null && !allowed) {
+    return null;
+  }
+
+  return event => {
+    const level = severityLevel(event.severity);
+    return level !== null && (min === null || level <= min) && (!allowed || allowed.has(level));
+  };
+}
+
+export {
+  SEVERITIES,
+  SEVERITY_SCHEMA_PROPERTIES,
+  severityLevel,
+  severityName,
+  isErrorSeverity,
+  parseSeverity,
+  createSeverityFilter
+};
@@ -0,0 +1,320 @@
+/**
+ * Resolve Papertrail system and group names to IDs
+ *
+ * Names can be exact ("web-1"), case-insensitive ("WEB-1") or globs ("web-*").
+ * The systems/groups lists come through the client's response cache
+ * (CACHE_LIST_TTL_SECONDS), so repeated lookups don't cost API calls.
+ */
+
+import PapertrailClient from './papertrailClient.js';
+import { config } from './config.js';
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+
+const MAX_LISTED_CANDIDATES = 20;
+
+// Upper bound on systems searched in one call (one API request each)
+const MAX_SYSTEMS_PER_SEARCH = 20;
+
+/**
+ * Tool input schema properties for selecting sources, shared by the search tools
+ */
+const SOURCE_SCHEMA_PROPERTIES = {
+  system: {
+    type: 'string',
+    description: 'Filter logs to systems by name: exact ("web-1"), case-insensitive, glob ("web-*"), or a comma-separated list ("web-1, worker-2"). Use list_systems to discover names.'
+  },
+  group: {
+    type: 'string',
+    description: 'Filter logs to a group by name (exact, case-insensitive or glob matching one group). Use list_groups to discover names.'
+  },
+  systemId: {
+    type: 'integer',
+    description: 'Filter logs to specific system ID (alternative to system)'
+  },
+  groupId: {
+    type: 'integer',
+    description: 'Filter logs to specific group ID (alternative to group)'
+  }
+};
+
+/**
+ * Names a pattern is matched against, per source kind
+ */
+const SOURCE_NAMES = {
+  system: system => [system.name, system.hostname],
+  group: group => [group.name]
+};
+
+class SourceResolver {
+  /**
+   * @param {Object} options - { client, account: account whose sources are resolved }
+   */
+  constructor(options = {}) {
+    this.client = options.client || new PapertrailClient({ account: options.account });
+  }
+
+  /**
+   * Load systems and groups through the response cache, which also
+   * coalesces concurrent loads into a single pair of API calls
+   * @param {boolean} force - Bypass the cache
+   * @returns {Promise<Object>} { systems, groups, cached: whether both lists came from the cache }
+   */
+  async load(force = false) {
+    const [systemsResult, groupsResult] = await Promise.all([
+      this.client.getSystems({ fresh: force }),
+      this.client.getGroups({ fresh: force })
+    ]);
+
+    if (!systemsResult.success || !groupsResult.success) {
+      const failed = !systemsResult.success ? systemsResult : groupsResult;
+      throw ErrorHandler.createApiError(failed, !systemsResult.success ? 'systems.json' : 'groups.json');
+    }
+
+    const fromCache = result => result.cache === 'hit' || result.cache === 'coalesced';
+    return {
+      systems: systemsResult.systems,
+      groups: groupsResult.groups,
+      cached: fromCache(systemsResult) && fromCache(groupsResult)
+    };
+  }
+
+  /**
+   * Resolve a comma-separated list of system names/globs to systems
+   * @param {string} spec - e.g. "web-1", "web-*", "web-1, worker-2"
+   * @returns {Promise<Array>} Matching systems ({ id, name, hostname }), de-duplicated
+   */
+  async resolveSystems(spec) {
+    const patterns = splitNames(spec);
+    const resolved = new Map();
+
+    for (const pattern of patterns) {
+      const matches = await this.resolveWithRefresh('system', pattern);
+
+      if (!isGlob(pattern) && matches.length > 1) {
+        throw ambiguityError('system', pattern, matches);
+      }
+
+      matches.forEach(system => resolved.set(system.id, {
+        id: system.id,
+        name: system.name,
+        hostname: system.hostname || null
+      }));
+    }
+
+    return [...resolved.values()];
+  }
+
+  /**
+   * Resolve a group name/glob to exactly one group
+   * @param {string} spec - Group name or glob
+   * @returns {Promise<Object>} Matching group ({ id, name })
+   */
+  async resolveGroup(spec) {
+    const pattern = spec.trim();
+    const matches = await this.resolveWithRefresh('group', pattern);
+
+    if (matches.length > 1) {
+      throw ambiguityError('group', pattern, matches);
+    }
+
+    return { id: matches[0].id, name: matches[0].name };
+  }
+
+  /**
+   * Match a pattern against the sources, refreshing once on a miss
+   * in case the source was added since the lists were cached
+   */
+  async resolveWithRefresh(kind, pattern) {
+    let sources = await this.load();
+    let matches = matchSources(pattern, sources[`${kind}s`], SOURCE_NAMES[kind]);
+
+    if (matches.length === 0 && sources.cached) {
+      sources = await this.load(true);
+      matches = matchSources(pattern, sources[`${kind}s`], SOURCE_NAMES[kind]);
+    }
+
+    if (matches.length === 0) {
+      throw notFoundError(kind, pattern, sources[`${kind}s`], SOURCE_NAMES[kind]);
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * Split a comma-separated name list
+ */
+function splitNames(spec) {
+  return String(spec)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check whether a name contains glob wildcards
+ */
+function isGlob(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert a glob (* and ?) into a case-insensitive anchored regex
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Match a name pattern against sources.
+ * Globs return every match; plain names prefer an exact match,
+ * then fall back to case-insensitive matches.
+ */
+function matchSources(pattern, sources, namesOf) {
+  if (isGlob(pattern)) {
+    const regex = globToRegExp(pattern);
+    return sources.filter(source => namesOf(source).some(name => name && regex.test(name)));
+  }
+
+  const exact = sources.filter(source => namesOf(source).includes(pattern));
+  if (exact.length > 0) {
+    return exact;
+  }
+
+  const lower = pattern.toLowerCase();
+  return sources.filter(source =>
+    namesOf(source).some(name => name && name.toLowerCase() === lower)
+  );
+}
+
+/**
+ * Describe a source for candidate lists
+ */
+function describeSource(source) {
+  return `${source.name} (id: ${source.id})`;
+}
+
+/**
+ * Error for a plain name matching several sources
+ */
+function ambiguityError(kind, pattern, matches) {
+  const candidates = matches.map(describeSource);
+  const listed = candidates.slice(0, MAX_LISTED_CANDIDATES).join(', ');
+  const more = candidates.length > MAX_LISTED_CANDIDATES
+    ? ` and ${candidates.length - MAX_LISTED_CANDIDATES} more`
+    : '';
+
+  return ErrorHandler.createError(
+    ERROR_CODES.AMBIGUOUS_SOURCE,
+    `Ambiguous ${kind} "${pattern}" matches ${matches.length} ${kind}s: ${listed}${more}. Use an exact name or the numeric ID.`,
+    { candidates }
+  );
+}
+
+/**
+ * Error for a name matching no source, with close-match suggestions
+ */
+function notFoundError(kind, pattern, sources, namesOf) {
+  // Suggest sources whose names contain the pattern (minus wildcards)
+  const needle = pattern.replace(/[*?]/g, '').toLowerCase();
+  const suggestions = needle
+    ? sources
+        .filter(source => namesOf(source).some(name => name && name.toLowerCase().includes(needle)))
+        .slice(0, MAX_LISTED_CANDIDATES)
+        .map(describeSource)
+    : [];
+
+  const hint = suggestions.length > 0
+    ? ` Did you mean: ${suggestions.join(', ')}?`
+    : ` Use list_${kind}s to see available ${kind}s.`;
+
+  return ErrorHandler.createError(
+    ERROR_CODES.SOURCE_NOT_FOUND,
+    `No ${kind} matches "${pattern}".${hint}`,
+    { candidates: suggestions }
+  );
+}
+
+// Shared resolver so the cache is reused across tool calls and sessions
+const globalSourceResolver = new SourceResolver();
+
+// Account name -> SourceResolver, since system and group names differ per account
+const accountSourceResolvers = new Map([[config.defaultAccount, globalSourceResolver]]);
+
+/**
+ * Get the shared resolver of an account
+ * @param {Object} [account] - Account from accounts.js; the default account when omitted
+ */
+function getSourceResolver(account = null) {
+  if (!account) {
+    return globalSourceResolver;
+  }
+
+  if (!accountSourceResolvers.has(account.name)) {
+    accountSourceResolvers.set(account.name, new SourceResolver({ account }));
+  }
+  return accountSourceResolvers.get(account.name);
+}
+
+/**
+ * Resolve tool system/group arguments (names or numeric IDs) to sources.
+ * Without any system or group, the account's default group is used.
+ * @param {Object} args - Tool arguments
+ * @param {Object} [account] - Account from accounts.js; the default account when omitted
+ * @param {SourceResolver} [resolver] - e.g. new SourceResolver({ client }) so lookups are charged to the tool's client
+ * @returns {Promise<Object>} { systems: [{ id, name }], group: { id, name } | null }
+ */
+async function resolveSources(args, account = null, resolver = getSourceResolver(account)) {
+  if (args.system && args.systemId) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      'Provide either system (name) or systemId, not both'
+    );
+  }
+
+  if (args.group && args.groupId) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      'Provide either group (name) or groupId, not both'
+    );
+  }
+
+  let systems = [];
+  if (args.system) {
+    systems = await resolver.resolveSystems(args.system);
+  } else if (args.systemId) {
+    systems = [{ id: parseInt(args.systemId), name: null }];
+  }
+
+  if (systems.length > MAX_SYSTEMS_PER_SEARCH) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `system "${args.system}" matches ${systems.length} systems (max ${MAX_SYSTEMS_PER_SEARCH} per search). Narrow the pattern or search a group instead.`
+    );
+  }
+
+  let group = null;
+  if (args.group) {
+    group = await resolver.resolveGroup(args.group);
+  } else if (args.groupId) {
+    group = { id: parseInt(args.groupId), name: null };
+  } else if (systems.length === 0 && account?.defaultGroup) {
+    group = await resolver.resolveGroup(account.defaultGroup);
+  }
+
+  return { systems, group };
+}
+
+export {
+  SourceResolver,
+  globalSourceResolver,
+  getSourceResolver,
+  resolveSources,
+  SOURCE_SCHEMA_PROPERTIES,
+  globToRegExp,
+  isGlob
+};
@@ -0,0 +1,266 @@
+/**
+ * Multi-line stack trace reassembly
+ *
+ * Java, Ruby, Python and Node exceptions reach Papertrail one line per event.
+ * Starting from one line of a trace, the neighbouring events of the same
+ * system and program are fetched, and the adjacent lines that look like part
+ * of the trace (frames, "Caused by:", the header and Python's final exception
+ * line) are stitched back into one logical event.
+ */
+
+import { ErrorHandler } from './middleware/errorHandler.js';
+
+const DEFAULT_MAX_LINES = 200;
+
+// Lines of one trace are logged together; a longer pause ends the trace
+const MAX_LINE_GAP_MS = 2000;
+
+const DEFAULT_MAX_TRACES = 10;
+
+/**
+ * Lines that continue a trace started on an earlier line
+ */
+const CONTINUATION_PATTERNS = [
+  /^\s+at\s+\S/, // Java, Node, .NET frames
+  /^\s*\.\.\.\s*\d+\s+(?:more|common frames omitted)/, // Java elided frames
+  /^\s*(?:Caused by|Suppressed):/, // Java chained exceptions
+  /^\s+File ".*", line \d+/, // Python frames
+  /^\s*(?:During handling of the above exception|The above exception was the direct cause)/, // Python chains
+  /^\s*from\s+\S+:\d+:in\s/, // Ruby frames
+  /^\s*\S+\.(?:rb|py|go|js|ts|php):\d+(?::in\s|\s|$)/, // path:line frames
+  /^ {2,}\S/ // Indented lines: Python source lines, wrapped frames
+];
+
+/**
+ * Lines that start (or, in Python, end) a trace
+ */
+const HEADER_PATTERNS = [
+  /Traceback \(most recent call last\)/,
+  // "java.lang.IllegalStateException: msg", Python's "ValueError: msg", JS's "Error: msg"
+  /^(?:Exception in thread "[^"]*" )?[\w$.]*(?:Exception|Error|Throwable)(?::|$)/,
+  /^panic: /,
+  /^goroutine \d+ \[/
+];
+
+const PYTHON_TRACEBACK = /Traceback \(most recent call last\)/;
+
+/**
+ * Whether a line continues a stack trace (a frame, "Caused by:", ...)
+ */
+function isContinuationLine(message) {
+  return CONTINUATION_PATTERNS.some(pattern => pattern.test(message || ''));
+}
+
+/**
+ * Whether a line can start a stack trace (exception header, Traceback, panic)
+ */
+function isTraceHeader(message) {
+  return !isContinuationLine(message) && HEADER_PATTERNS.some(pattern => pattern.test(message || ''));
+}
+
+/**
+ * Whether a line could belong to a stack trace
+ */
+function looksLikeTrace(message) {
+  return isContinuationLine(message) || isTraceHeader(message);
+}
+
+/**
+ * Whether two events were logged close enough together to be one trace
+ */
+function adjacent(a, b) {
+  return Math.abs(Date.parse(a.received_at) - Date.parse(b.received_at)) <= MAX_LINE_GAP_MS;
+}
+
+/**
+ * Search query limiting results to one program
+ */
+function programQuery(program) {
+  if (!program) {
+    return '';
+  }
+  return /\s/.test(program) ? `program:"${program}"` : `program:${program}`;
+}
+
+/**
+ * Fetch the events right before or after an event, from its system and program
+ */
+async function fetchAdjacent(client, anchor, direction, total) {
+  if (total <= 0) {
+    return [];
+  }
+
+  // Lines of one trace are at most MAX_LINE_GAP_MS apart, which bounds how far
+  // the trace can reach; the default search window may not even include the anchor
+  const anchorMs = Date.parse(anchor.received_at);
+  const reachMs = total * MAX_LINE_GAP_MS + 1000;
+  const range = direction === 'older'
+    ? { minTime: new Date(anchorMs - reachMs), maxTime: new Date(anchorMs + 1000) }
+    : { minTime: new Date(anchorMs), maxTime: new Date(Math.min(anchorMs + reachMs, Date.now())) };
+
+  const result = await client.searchLogsPaged(programQuery(anchor.program), {
+    ...(anchor.source_id && { system_id: anchor.source_id }),
+    minTime: client.formatTime(range.minTime),
+    maxTime: client.formatTime(range.maxTime),
+    direction,
+    [direction === 'older' ? 'max_id' : 'min_id']: anchor.id,
+    total
+  });
+
+  if (!result.success) {
+    throw ErrorHandler.createApiError(result, 'events/search.json');
+  }
+
+  // Another program on the same system could share the query terms; keep exact matches
+  return result.events.filter(event => event.program === anchor.program);
+}
+
+/**
+ * Trace lines before the anchor: continuation lines, then the header that starts them
+ * @param {Array} older - Events before the anchor, oldest first
+ */
+function collectBefore(anchor, older, maxLines) {
+  const lines = [];
+  let next = anchor;
+
+  for (let i = older.length - 1; i >= 0 && lines.length < maxLines; i--) {
+    const event = older[i];
+    if (!adjacent(event, next)) break;
+
+    if (isContinuationLine(event.message)) {
+      lines.unshift(event);
+      next = event;
+      continue;
+    }
+
+    // A header only belongs to the trace if there is a trace below it
+    if (isTraceHeader(event.message) && (lines.length > 0 || isContinuationLine(anchor.message))) {
+      lines.unshift(event);
+    }
+    break;
+  }
+
+  return lines;
+}
+
+/**
+ * Trace lines after the anchor: continuation lines, plus Python's final exception line
+ * @param {Array} newer - Events after the anchor, oldest first
+ * @param {boolean} python - Whether the trace started with "Traceback (most recent call last):"
+ */
+function collectAfter(anchor, newer, maxLines, python) {
+  const lines = [];
+  let previous = anchor;
+
+  for (const event of newer) {
+    if (lines.length >= maxLines || !adjacent(event, previous)) break;
+
+    if (isContinuationLine(event.message)) {
+      lines.push(event);
+      previous = event;
+      continue;
+    }
+
+    // Python prints the exception itself after the frames
+    if (python && isTraceHeader(event.message) && !PYTHON_TRACEBACK.test(event.message)) {
+      lines.push(event);
+    }
+    break;
+  }
+
+  return lines;
+}
+
+/**
+ * Reassemble the stack trace an event belongs to
+ * @param {PapertrailClient} client - Client of the event's account
+ * @param {Object} anchor - Raw Papertrail event (any line of the trace)
+ * @param {Object} options - { maxLines }
+ * @returns {Promise<Object>} { lines: raw events oldest first, truncated }
+ */
+async function assembleTrace(client, anchor, { maxLines = DEFAULT_MAX_LINES } = {}) {
+  const budget = maxLines - 1;
+  const newer = await fetchAdjacent(client, anchor, 'newer', budget);
+  let after = collectAfter(anchor, newer, budget, PYTHON_TRACEBACK.test(anchor.message));
+  let before = [];
+
+  // A line inside a trace, or Python's final line, has the rest of the trace above it
+  if (isContinuationLine(anchor.message) || after.length === 0) {
+    const older = await fetchAdjacent(client, anchor, 'older', budget - after.length);
+    before = collectBefore(anchor, older, budget - after.length);
+
+    if (before.some(event => PYTHON_TRACEBACK.test(event.message))) {
+      after = collectAfter(anchor, newer, budget - before.length, true);
+    }
+  }
+
+  const lines = [...before, anchor, ...after];
+  return { lines, truncated: lines.length >= maxLines };
+}
+
+/**
+ * Combine trace lines into one event: the first line's metadata with every line as the message
+ * @param {Object} trace - assembleTrace() result
+ */
+function toTraceEvent({ lines, truncated }) {
+  const [first] = lines;
+  return {
+    ...first,
+    message: lines.map(event => event.message).join('\n'),
+    stack_trace: {
+      lineCount: lines.length,
+      eventIds: lines.map(event => event.id),
+      lastReceivedAt: lines[lines.length - 1].received_at,
+      truncated
+    }
+  };
+}
+
+/**
+ * Replace stack trace lines in search results with reassembled traces.
+ * The newest traces are assembled first; lines already part of one are dropped.
+ * @param {PapertrailClient} client - Client of the events' account
+ * @param {Array} events - Raw Papertrail events, oldest first
+ * @param {Object} options - { maxTraces, maxLines }
+ * @returns {Promise<Object>} { events, assembled, skipped: trace lines left as single events }
+ */
+async function assembleStackTraces(client, events, { maxTraces = DEFAULT_MAX_TRACES, maxLines } = {}) {
+  const consumed = new Set();
+  const output = [];
+  let assembled = 0;
+  let skipped = 0;
+
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (consumed.has(event.id)) continue;
+
+    if (looksLikeTrace(event.message)) {
+      if (assembled >= maxTraces) {
+        skipped++;
+      } else {
+        const trace = await assembleTrace(client, event, { maxLines });
+        if (trace.lines.length > 1) {
+          trace.lines.forEach(line => consumed.add(line.id));
+          output.push(toTraceEvent(trace));
+          assembled++;
+          continue;
+        }
+      }
+    }
+
+    output.push(event);
+  }
+
+  return { events: output.reverse(), assembled, skipped };
+}
+
+export {
+  DEFAULT_MAX_LINES,
+  DEFAULT_MAX_TRACES,
+  isContinuationLine,
+  isTraceHeader,
+  looksLikeTrace,
+  assembleTrace,
+  assembleStackTraces,
+  toTraceEvent
+};
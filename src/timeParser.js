@@ -0,0 +1,355 @@
+/**
+ * Time expression parsing for search time ranges
+ *
+ * Accepts absolute times (ISO 8601, Unix seconds) and relative or natural
+ * expressions such as "15m", "-2h", "2 hours ago", "now-1d", "yesterday",
+ * "today 09:00" or "last monday 14:30". Calendar expressions are evaluated
+ * in the given IANA timezone.
+ */
+
+import { config } from './config.js';
+import { ErrorHandler, ERROR_CODES } from './middleware/errorHandler.js';
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const UNIT_ALIASES = {
+  s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+  m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  d: 'd', day: 'd', days: 'd',
+  w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w'
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const EXAMPLES = '"2023-12-01T10:00:00Z", "15m", "-2h", "2 hours ago", "now-1d", "yesterday", "today 09:00", "last monday"';
+
+/**
+ * Tool input schema properties for the search time range, shared by the search tools
+ */
+const TIME_SCHEMA_PROPERTIES = {
+  minTime: {
+    type: 'string',
+    description: `Start of the search window. Absolute (ISO 8601) or relative/natural, e.g. ${EXAMPLES}. Defaults to ${config.search.defaultWindow} before maxTime.`
+  },
+  maxTime: {
+    type: 'string',
+    description: 'End of the search window, same forms as minTime. Defaults to now.'
+  },
+  timezone: {
+    type: 'string',
+    description: `IANA timezone for calendar expressions and times without an offset, e.g. "Europe/Berlin" (default: ${config.search.timezone})`
+  }
+};
+
+/**
+ * Parse a duration such as "15m", "2h", "1.5d" or "3 days"
+ * @returns {number|null} Duration in milliseconds, or null if not a duration
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]+)$/i.exec(text.trim());
+  if (!match) return null;
+  const unit = UNIT_ALIASES[match[2].toLowerCase()];
+  if (!unit) return null;
+  return parseFloat(match[1]) * UNIT_MS[unit];
+}
+
+/**
+ * Check that a timezone name is valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'long'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Build the instant for a wall-clock time in a timezone
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffset(new Date(guess), timezone);
+  let result = guess - offset;
+
+  // Re-check once in case the guess and the result straddle a DST change
+  const correctedOffset = getTimezoneOffset(new Date(result), timezone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Start of the interval containing an instant, with intervals counted in
+ * wall-clock time of the timezone, so hourly buckets start on the hour and
+ * daily buckets at midnight there
+ * @returns {number} Start in epoch milliseconds
+ */
+function startOfInterval(date, intervalMs, timezone) {
+  const offset = getTimezoneOffset(date, timezone);
+  const wallClock = Math.floor((date.getTime() + offset) / intervalMs) * intervalMs;
+  const start = new Date(wallClock);
+  const result = zonedTimeToDate({
+    year: start.getUTCFullYear(),
+    month: start.getUTCMonth() + 1,
+    day: start.getUTCDate(),
+    hour: start.getUTCHours(),
+    minute: start.getUTCMinutes(),
+    second: start.getUTCSeconds()
+  }, timezone).getTime();
+
+  // A wall-clock time repeated when clocks go back may resolve to its later
+  // occurrence; the start must not come after the instant itself
+  return result <= date.getTime() ? result : wallClock - offset;
+}
+
+/**
+ * Parse a time of day such as "09:00", "9:30:15", "9am" or "2:30pm"
+ * @returns {Object|null} { hour, minute, second }
+ */
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?$/i.exec(text.trim());
+  if (!match) return null;
+  if (match[2] === undefined && !match[4]) return null; // bare number is not a time
+
+  let hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] || '0', 10);
+  const second = parseInt(match[3] || '0', 10);
+  const meridiem = match[4]?.toLowerCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'pm' && hour !== 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+  }
+
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return { hour, minute, second };
+}
+
+/**
+ * Shift calendar parts by a number of days
+ */
+function addDays(parts, days) {
+  const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  };
+}
+
+/**
+ * Parse calendar expressions: today/yesterday/tomorrow/[last] <weekday> [time]
+ */
+function parseCalendarExpression(text, now, timezone) {
+  const match = /^(today|yesterday|tomorrow|(?:last\s+)?(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday))(?:\s+(?:at\s+)?(.+))?$/i.exec(text);
+  if (!match) return null;
+
+  const timeOfDay = match[2] ? parseTimeOfDay(match[2]) : { hour: 0, minute: 0, second: 0 };
+  if (!timeOfDay) return null;
+
+  const today = getZonedParts(now, timezone);
+  const keyword = match[1].toLowerCase().replace(/\s+/g, ' ');
+
+  let dayOffset;
+  if (keyword === 'today') {
+    dayOffset = 0;
+  } else if (keyword === 'yesterday') {
+    dayOffset = -1;
+  } else if (keyword === 'tomorrow') {
+    dayOffset = 1;
+  } else {
+    // "monday" and "last monday" both mean the most recent Monday before today
+    const target = WEEKDAYS.indexOf(keyword.replace('last ', ''));
+    dayOffset = -(((today.weekday - target + 7) % 7) || 7);
+  }
+
+  return zonedTimeToDate({ ...addDays(today, dayOffset), ...timeOfDay }, timezone);
+}
+
+/**
+ * Parse a time expression into a Date
+ * @param {string|number} expression - Time expression
+ * @param {Object} options - { now: Date, timezone: IANA name }
+ * @returns {Date|null} The resolved instant, or null if the expression is not understood
+ */
+function parseTimeExpression(expression, { now = new Date(), timezone = 'UTC' } = {}) {
+  if (typeof expression === 'number') {
+    return new Date(expression * 1000);
+  }
+
+  const text = String(expression).trim().toLowerCase();
+  if (!text) return null;
+
+  if (text === 'now') {
+    return new Date(now.getTime());
+  }
+
+  // Unix timestamp in seconds
+  if (/^\d{9,11}$/.test(text)) {
+    return new Date(parseInt(text, 10) * 1000);
+  }
+
+  // now-1d, now+2h
+  const nowOffset = /^now\s*([+-])\s*(.+)$/.exec(text);
+  if (nowOffset) {
+    const duration = parseDuration(nowOffset[2]);
+    if (duration === null) return null;
+    return new Date(now.getTime() + (nowOffset[1] === '+' ? duration : -duration));
+  }
+
+  // "2 hours ago", "15m ago"
+  const ago = /^(.+?)\s+ago$/.exec(text);
+  if (ago) {
+    const duration = parseDuration(ago[1]);
+    return duration === null ? null : new Date(now.getTime() - duration);
+  }
+
+  // "15m", "-2h" (both in the past), "+1h" (in the future)
+  const signed = /^([+-]?)\s*(\d.*)$/.exec(text);
+  if (signed) {
+    const duration = parseDuration(signed[2]);
+    if (duration !== null) {
+      return new Date(now.getTime() + (signed[1] === '+' ? duration : -duration));
+    }
+  }
+
+  const calendar = parseCalendarExpression(text, now, timezone);
+  if (calendar) {
+    return calendar;
+  }
+
+  return parseAbsoluteTime(String(expression).trim(), timezone);
+}
+
+/**
+ * Parse an absolute date/time. Strings without an explicit offset
+ * ("2023-12-01 10:00") are read as wall-clock time in the timezone.
+ */
+function parseAbsoluteTime(text, timezone) {
+  const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/.exec(text);
+  if (local) {
+    return zonedTimeToDate({
+      year: parseInt(local[1], 10),
+      month: parseInt(local[2], 10),
+      day: parseInt(local[3], 10),
+      hour: parseInt(local[4] || '0', 10),
+      minute: parseInt(local[5] || '0', 10),
+      second: parseInt(local[6] || '0', 10)
+    }, timezone);
+  }
+
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Resolve minTime/maxTime/timezone tool arguments to an absolute range
+ * @param {Object} args - Tool arguments
+ * @param {Object} options - { now: Date }
+ * @returns {Object} { minTime: Date, maxTime: Date, timezone, input: { minTime, maxTime } }
+ */
+function resolveTimeRange(args, { now = new Date() } = {}) {
+  const timezone = args.timezone || config.search.timezone;
+  if (!isValidTimezone(timezone)) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown timezone "${timezone}". Use an IANA name such as "UTC" or "Europe/Berlin".`
+    );
+  }
+
+  const parse = (field) => {
+    const date = parseTimeExpression(args[field], { now, timezone });
+    if (!date) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid ${field} "${args[field]}". Use ISO 8601 or an expression like ${EXAMPLES}.`
+      );
+    }
+    return date;
+  };
+
+  const maxTime = args.maxTime ? parse('maxTime') : new Date(now.getTime());
+  const minTime = args.minTime
+    ? parse('minTime')
+    : new Date(maxTime.getTime() - parseDuration(config.search.defaultWindow));
+
+  if (minTime >= maxTime) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `minTime (${minTime.toISOString()}) must be before maxTime (${maxTime.toISOString()})`
+    );
+  }
+
+  return {
+    minTime,
+    maxTime,
+    timezone,
+    input: {
+      minTime: args.minTime ?? null,
+      maxTime: args.maxTime ?? null
+    }
+  };
+}
+
+export {
+  EXAMPLES as TIME_EXPRESSION_EXAMPLES,
+  TIME_SCHEMA_PROPERTIES,
+  resolveTimeRange,
+  parseTimeExpression,
+  parseDuration,
+  startOfInterval,
+  isValidTimezone
+};
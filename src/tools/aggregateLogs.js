@@ -0,0 +1,470 @@
+/**
+ * Aggregate logs MCP tool implementation
+ *
+ * Pages through the events matching a query and counts them by host,
+ * program, severity, a parsed JSON/logfmt field or a value extracted from the
+ * message, optionally as a time histogram, so "how many 500s per minute per
+ * host" has a direct answer.
+ */
+
+import PapertrailClient, { MAX_PAGE_SIZE } from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { SourceResolver, resolveSources, SOURCE_SCHEMA_PROPERTIES } from '../sourceResolver.js';
+import { resolveTimeRange, parseDuration, startOfInterval, TIME_SCHEMA_PROPERTIES } from '../timeParser.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { globalRedactor, emptyRedactions, mergeRedactions, countsToRedactions, formatRedactions } from '../redactor.js';
+import { extractFields, parseFilters, createEventFilter, FIELD_SCHEMA_PROPERTIES } from '../fieldExtractor.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_MAX_EVENTS = 10000;
+const MAX_EVENTS = 50 * MAX_PAGE_SIZE;
+const DEFAULT_TOP = 20;
+const MAX_TOP = 200;
+const MAX_BUCKETS = 1000;
+const MAX_GROUP_BY = 2;
+
+// Value shown for events a dimension has nothing for
+const NONE = '(none)';
+
+// "field:<name>" groups by a field parsed from JSON/logfmt/key=value messages
+const PARSED_FIELD_PREFIX = 'field:';
+
+/**
+ * Dimensions events can be grouped by ('field' is read with fieldPattern)
+ */
+const DIMENSIONS = {
+  host: event => event.hostname,
+  program: event => event.program,
+  severity: event => event.severity,
+  facility: event => event.facility,
+  system: event => event.source_name,
+  field: null
+};
+
+const log = logger.child({ component: 'aggregate_logs' });
+
+/**
+ * MCP tool definition for counting and aggregating Papertrail logs
+ */
+const aggregateLogsTool = {
+  name: 'aggregate_logs',
+  description: 'Count the log events matching a query, grouped by host, program, severity, facility, system, a field parsed from JSON/logfmt messages or a value extracted from the message, and/or as a time histogram. Use it for questions like "how many 500s per minute per host in the last hour" instead of reading raw events.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'REQUIRED: Search query selecting the events to count (same syntax as search_logs). Use "*" to count everything.'
+      },
+      ...TIME_SCHEMA_PROPERTIES,
+      groupBy: {
+        type: 'string',
+        description: `Comma-separated dimensions to group by (up to ${MAX_GROUP_BY}): ${Object.keys(DIMENSIONS).join(', ')} or ${PARSED_FIELD_PREFIX}<name>. E.g. "host", "host, program" or "${PARSED_FIELD_PREFIX}status". "${PARSED_FIELD_PREFIX}<name>" groups by a field parsed from JSON, logfmt or key=value messages; "field" groups by the value fieldPattern extracts.`
+      },
+      fieldPattern: {
+        type: 'string',
+        description: 'Regular expression extracting the "field" value from each message; its first capture group (or the whole match) is the value. E.g. "status (\\d{3})" or "user_id=(\\w+)".'
+      },
+      interval: {
+        type: 'string',
+        description: `Time histogram bucket size, e.g. "1m", "5m", "1h". Omit for totals only (max ${MAX_BUCKETS} buckets over the time range).`
+      },
+      where: FIELD_SCHEMA_PROPERTIES.where,
+      top: {
+        type: 'integer',
+        description: `Number of groups to return, largest first (default: ${DEFAULT_TOP}, max: ${MAX_TOP})`,
+        minimum: 1,
+        maximum: MAX_TOP
+      },
+      maxEvents: {
+        type: 'integer',
+        description: `Most events to scan, newest first (default: ${DEFAULT_MAX_EVENTS}, max: ${MAX_EVENTS}). Counts are marked partial when more events match. With where, events are scanned up to this many and only matching ones counted.`,
+        minimum: 1,
+        maximum: MAX_EVENTS
+      },
+      ...SOURCE_SCHEMA_PROPERTIES,
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['query']
+  }
+};
+
+/**
+ * Execute aggregate logs tool with rate limiting and error handling
+ */
+async function executeAggregateLogs(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    if (!args.query || args.query.trim() === '') {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Query parameter is required and cannot be empty. Use "*" to count all events.',
+        { providedArgs: args, requiredFields: ['query'] }
+      );
+    }
+
+    ErrorHandler.validateArgs(args, aggregateLogsTool.inputSchema);
+
+    const spec = parseAggregation(args);
+    const timeRange = resolveTimeRange(args);
+    const intervalMs = spec.intervalMs;
+    if (intervalMs && (timeRange.maxTime - timeRange.minTime) / intervalMs > MAX_BUCKETS) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `interval "${args.interval}" gives more than ${MAX_BUCKETS} buckets over this time range. Use a larger interval or a shorter range.`
+      );
+    }
+
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const sources = await resolveSources(args, account, new SourceResolver({ client }));
+    const maxEvents = args.maxEvents || DEFAULT_MAX_EVENTS;
+
+    const filter = createEventFilter(spec.filters);
+
+    const options = {
+      total: maxEvents,
+      ...(filter && { filter, maxScan: maxEvents }),
+      minTime: client.formatTime(timeRange.minTime),
+      ...(timeRange.input.maxTime && { maxTime: client.formatTime(timeRange.maxTime) }),
+      ...(sources.systems.length > 0 && { system_ids: sources.systems.map(system => system.id) }),
+      ...(sources.group && { group_id: sources.group.id })
+    };
+
+    log.info('Aggregating Papertrail logs', { query: args.query, groupBy: spec.groupBy, interval: args.interval, maxEvents });
+
+    const result = await client.searchLogsPaged(args.query, options);
+    if (!result.success) {
+      throw ErrorHandler.createApiError(result, 'events/search.json');
+    }
+
+    // The scan stops at maxEvents; counts are partial only if older events remain
+    const partial = !result.pagination.exhausted &&
+      await hasOlderEvents(client, args.query, options, result.pagination.oldestId);
+
+    const aggregation = aggregateEvents(result.events, spec, timeRange);
+    const summary = {
+      query: args.query,
+      account: account.name,
+      timeRange: {
+        minTime: timeRange.minTime.toISOString(),
+        maxTime: timeRange.maxTime.toISOString(),
+        timezone: timeRange.timezone,
+        input: timeRange.input
+      },
+      sources,
+      scanned: result.pagination.scanned ?? result.events.length,
+      ...(spec.filters.length > 0 && { where: spec.filters.map(filter => filter.expression) }),
+      partial,
+      scannedFrom: result.events[0]?.received_at || null,
+      groupBy: spec.groupBy,
+      ...(spec.fieldPattern && { fieldPattern: spec.fieldPattern.source }),
+      interval: args.interval || null,
+      ...aggregation
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatAggregation(summary, account)
+      }],
+      structuredContent: summary
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'aggregate_logs',
+      query: args.query,
+      clientId
+    });
+  }
+}
+
+/**
+ * Validate and parse groupBy, fieldPattern, where, interval and top
+ * @returns {Object} { groupBy: [dimension], fieldPattern: RegExp|null, filters, intervalMs: number|null, top }
+ */
+function parseAggregation(args) {
+  const groupBy = (args.groupBy || '')
+    .split(',')
+    .map(name => name.trim())
+    // Parsed field names keep their case; built-in dimensions don't
+    .map(name => isParsedField(name) ? name : name.toLowerCase())
+    .filter(Boolean);
+
+  const unknown = groupBy.filter(name => !(name in DIMENSIONS) && !(isParsedField(name) && name.length > PARSED_FIELD_PREFIX.length));
+  if (unknown.length > 0) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown groupBy dimension "${unknown[0]}". Use: ${Object.keys(DIMENSIONS).join(', ')} or ${PARSED_FIELD_PREFIX}<name>.`
+    );
+  }
+
+  if (groupBy.length > MAX_GROUP_BY || new Set(groupBy).size !== groupBy.length) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `groupBy takes up to ${MAX_GROUP_BY} different dimensions`
+    );
+  }
+
+  let fieldPattern = null;
+  if (groupBy.includes('field') !== Boolean(args.fieldPattern)) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      'fieldPattern and groupBy "field" go together: give both or neither'
+    );
+  }
+  if (args.fieldPattern) {
+    try {
+      fieldPattern = new RegExp(args.fieldPattern);
+    } catch (error) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid fieldPattern: ${error.message}`
+      );
+    }
+  }
+
+  let intervalMs = null;
+  if (args.interval) {
+    intervalMs = parseDuration(args.interval);
+    if (!intervalMs || intervalMs < 1000) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid interval "${args.interval}". Use a duration of at least 1s, e.g. "30s", "1m", "1h".`
+      );
+    }
+  }
+
+  return { groupBy, fieldPattern, filters: parseFilters(args.where), intervalMs, top: args.top || DEFAULT_TOP };
+}
+
+/**
+ * Whether a groupBy dimension names a parsed field ("field:status")
+ */
+function isParsedField(dimension) {
+  return dimension.toLowerCase().startsWith(PARSED_FIELD_PREFIX);
+}
+
+/**
+ * Value of one dimension for an event
+ * @param {string|null} message - The event's redacted message
+ * @param {Object|null} fields - Fields parsed from that message
+ */
+function dimensionValue(event, dimension, fieldPattern, message, fields) {
+  if (dimension === 'field') {
+    const match = fieldPattern.exec(message);
+    return match ? (match[1] ?? match[0]) : NONE;
+  }
+
+  const value = isParsedField(dimension)
+    ? fields?.[dimension.slice(PARSED_FIELD_PREFIX.length)]
+    : DIMENSIONS[dimension](event);
+  return value === undefined || value === null || value === '' ? NONE : String(value);
+}
+
+/**
+ * Count events per group and, with an interval, per time bucket
+ * @returns {Object} { total, groups: [{ key, count }], otherGroups, histogram, redactions }
+ */
+function aggregateEvents(events, { groupBy, fieldPattern = null, intervalMs, top }, timeRange) {
+  const groups = new Map(); // label -> { key, count }
+  const starts = intervalMs ? bucketStarts(intervalMs, timeRange) : [];
+  const buckets = starts.map(() => ({ count: 0, groups: new Map() })); // per start: count and label -> count
+  let redactions = emptyRedactions();
+
+  const parsesFields = groupBy.some(isParsedField);
+  const readsMessage = parsesFields || groupBy.includes('field');
+
+  for (const event of events) {
+    // Read values from the redacted message: a bare value such as a password
+    // cannot be recognised once it is separated from its key
+    let message = null;
+    if (readsMessage) {
+      const { text, counts } = globalRedactor.redact(event.message || '');
+      message = text;
+      redactions = mergeRedactions(redactions, countsToRedactions(counts));
+    }
+    const fields = parsesFields ? extractFields(message)?.fields || null : null;
+
+    const key = {};
+    for (const dimension of groupBy) {
+      key[dimension] = dimensionValue(event, dimension, fieldPattern, message, fields);
+    }
+
+    const label = groupLabel(key);
+    const group = groups.get(label) || { key, count: 0 };
+    group.count++;
+    groups.set(label, group);
+
+    const bucket = buckets[bucketIndex(starts, Date.parse(event.received_at))];
+    if (bucket) {
+      bucket.count++;
+      bucket.groups.set(label, (bucket.groups.get(label) || 0) + 1);
+    }
+  }
+
+  const ranked = [...groups.values()].sort((a, b) => b.count - a.count);
+  const topGroups = groupBy.length > 0 ? ranked.slice(0, top) : [];
+  const shown = new Set(topGroups.map(group => groupLabel(group.key)));
+
+  return {
+    total: events.length,
+    groups: topGroups,
+    otherGroups: groupBy.length > 0 ? Math.max(0, ranked.length - top) : 0,
+    histogram: intervalMs ? buildHistogram(starts, buckets, shown) : null,
+    redactions
+  };
+}
+
+/**
+ * Label for a group key, e.g. "host=web-1, program=app"
+ */
+function groupLabel(key) {
+  return Object.entries(key).map(([dimension, value]) => `${dimension}=${value}`).join(', ');
+}
+
+/**
+ * Start of every bucket in the time range, in order (epoch ms). Buckets follow
+ * wall-clock time in the range's timezone, so across a DST change a daily
+ * bucket lasts 23 or 25 hours.
+ */
+function bucketStarts(intervalMs, { minTime, maxTime, timezone }) {
+  const starts = [startOfInterval(minTime, intervalMs, timezone)];
+
+  for (;;) {
+    const last = starts[starts.length - 1];
+    // When clocks go back, one interval later can still be the same wall-clock bucket
+    let probe = last + intervalMs;
+    let next;
+    do {
+      next = startOfInterval(new Date(probe), intervalMs, timezone);
+      probe += intervalMs;
+    } while (next <= last);
+
+    if (next >= maxTime.getTime()) return starts;
+    starts.push(next);
+  }
+}
+
+/**
+ * Index of the bucket holding a time, or -1 before the first bucket
+ */
+function bucketIndex(starts, time) {
+  if (starts.length === 0 || !(time >= starts[0])) return -1;
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * List every bucket of the time range in order, including empty ones.
+ * Per-group counts are kept for the groups in the top list.
+ */
+function buildHistogram(starts, buckets, shownGroups) {
+  return starts.map((start, index) => {
+    const groups = {};
+    buckets[index].groups.forEach((count, label) => {
+      if (shownGroups.has(label)) {
+        groups[label] = count;
+      }
+    });
+
+    return {
+      start: new Date(start).toISOString(),
+      count: buckets[index].count,
+      ...(shownGroups.size > 0 && { groups })
+    };
+  });
+}
+
+/**
+ * Whether any event is older than the oldest one scanned, checked with one
+ * more page. A failed check counts as yes.
+ */
+async function hasOlderEvents(client, query, options, oldestId) {
+  if (!oldestId) return false;
+  const { total, filter, maxScan, ...searchOptions } = options;
+  const probe = await client.searchLogsPaged(query, { ...searchOptions, total: 1, max_id: oldestId, maxPages: 1 });
+  return !probe.success || probe.events.length > 0;
+}
+
+/**
+ * Format an aggregation for presentation
+ */
+function formatAggregation(summary, account) {
+  let output = `📊 Papertrail Log Aggregation\n`;
+  output += `Query: "${summary.query}"\n`;
+  output += formatAccount(account);
+  output += `Time Range: ${summary.timeRange.minTime} - ${summary.timeRange.maxTime}\n`;
+  output += `Events counted: ${summary.total}${summary.partial ? ` (partial: scan limit reached, counts cover ${summary.scannedFrom} onwards)` : ''}\n`;
+  if (summary.where) {
+    output += `Where: ${summary.where.join(' AND ')} (${summary.total} of ${summary.scanned} scanned events match)\n`;
+  }
+  output += formatRedactions(summary.redactions);
+  output += '\n';
+
+  if (summary.total === 0) {
+    output += '📭 No log events found matching the search criteria.\n';
+    return output;
+  }
+
+  if (summary.groups.length > 0) {
+    output += `By ${summary.groupBy.join(', ')}:\n`;
+    const width = Math.max(...summary.groups.map(group => String(group.count).length));
+    summary.groups.forEach(group => {
+      const share = ((group.count / summary.total) * 100).toFixed(1);
+      output += `  ${String(group.count).padStart(width)}  ${share.padStart(5)}%  ${groupLabel(group.key)}\n`;
+    });
+    if (summary.otherGroups > 0) {
+      output += `  … ${summary.otherGroups} more groups (raise top to see them)\n`;
+    }
+    output += '\n';
+  }
+
+  if (summary.histogram) {
+    output += formatHistogram(summary.histogram, summary.interval);
+  }
+
+  return output;
+}
+
+/**
+ * Format a histogram as one bar per bucket, with the largest groups of each
+ */
+function formatHistogram(histogram, interval) {
+  const BAR_WIDTH = 40;
+  const peak = Math.max(1, ...histogram.map(bucket => bucket.count));
+  const width = String(peak).length;
+
+  let output = `Per ${interval}:\n`;
+  histogram.forEach(bucket => {
+    const bar = '█'.repeat(Math.round((bucket.count / peak) * BAR_WIDTH));
+    const breakdown = bucket.groups
+      ? Object.entries(bucket.groups)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([label, count]) => `${label}: ${count}`)
+          .join('; ')
+      : '';
+    output += `  ${bucket.start} ${String(bucket.count).padStart(width)} ${bar}${breakdown ? `  (${breakdown})` : ''}\n`;
+  });
+
+  return output;
+}
+
+export {
+  aggregateLogsTool,
+  executeAggregateLogs,
+  aggregateEvents,
+  groupLabel
+};
@@ -0,0 +1,152 @@
+/**
+ * Cluster logs MCP tool implementation
+ *
+ * Pages through the events matching a query and collapses them into message
+ * patterns, so a flood of near-identical lines reads as a short list.
+ */
+
+import PapertrailClient, { MAX_PAGE_SIZE } from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { SourceResolver, resolveSources, SOURCE_SCHEMA_PROPERTIES } from '../sourceResolver.js';
+import { resolveTimeRange, TIME_SCHEMA_PROPERTIES } from '../timeParser.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { globalRedactor, formatRedactions } from '../redactor.js';
+import { clusterEvents, formatClusters, DEFAULT_MAX_CLUSTERS } from '../patternClusterer.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_MAX_EVENTS = 5000;
+const MAX_EVENTS = 50 * MAX_PAGE_SIZE;
+const MAX_CLUSTERS = 200;
+
+const log = logger.child({ component: 'cluster_logs' });
+
+/**
+ * MCP tool definition for clustering Papertrail logs into message patterns
+ */
+const clusterLogsTool = {
+  name: 'cluster_logs',
+  description: 'Group the log events matching a query into message patterns (numbers, IDs, UUIDs, IPs, hex and quoted values masked), with counts, first/last seen, affected hosts and an example of each. Use it to see what kinds of lines a noisy query returns.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'REQUIRED: Search query selecting the events (same syntax as search_logs). Use "*" for everything.'
+      },
+      ...TIME_SCHEMA_PROPERTIES,
+      maxClusters: {
+        type: 'integer',
+        description: `Number of patterns to return, most frequent first (default: ${DEFAULT_MAX_CLUSTERS}, max: ${MAX_CLUSTERS})`,
+        minimum: 1,
+        maximum: MAX_CLUSTERS
+      },
+      maxEvents: {
+        type: 'integer',
+        description: `Most events to scan, newest first (default: ${DEFAULT_MAX_EVENTS}, max: ${MAX_EVENTS})`,
+        minimum: 1,
+        maximum: MAX_EVENTS
+      },
+      ...SOURCE_SCHEMA_PROPERTIES,
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['query']
+  }
+};
+
+/**
+ * Execute cluster logs tool with rate limiting and error handling
+ */
+async function executeClusterLogs(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    if (!args.query || args.query.trim() === '') {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Query parameter is required and cannot be empty. Use "*" to cluster all events.',
+        { providedArgs: args, requiredFields: ['query'] }
+      );
+    }
+
+    ErrorHandler.validateArgs(args, clusterLogsTool.inputSchema);
+
+    const timeRange = resolveTimeRange(args);
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const sources = await resolveSources(args, account, new SourceResolver({ client }));
+
+    const options = {
+      total: args.maxEvents || DEFAULT_MAX_EVENTS,
+      minTime: client.formatTime(timeRange.minTime),
+      ...(timeRange.input.maxTime && { maxTime: client.formatTime(timeRange.maxTime) }),
+      ...(sources.systems.length > 0 && { system_ids: sources.systems.map(system => system.id) }),
+      ...(sources.group && { group_id: sources.group.id })
+    };
+
+    log.info('Clustering Papertrail logs', { query: args.query, maxEvents: options.total });
+
+    const result = await client.searchLogsPaged(args.query, options);
+    if (!result.success) {
+      throw ErrorHandler.createApiError(result, 'events/search.json');
+    }
+
+    // Examples are shown verbatim, so cluster the redacted messages
+    const { events, redactions } = globalRedactor.redactEvents(result.events);
+    const clustering = clusterEvents(events, { maxClusters: args.maxClusters || DEFAULT_MAX_CLUSTERS });
+
+    const summary = {
+      query: args.query,
+      account: account.name,
+      timeRange: {
+        minTime: timeRange.minTime.toISOString(),
+        maxTime: timeRange.maxTime.toISOString(),
+        timezone: timeRange.timezone,
+        input: timeRange.input
+      },
+      sources,
+      scanned: events.length,
+      partial: !result.pagination.exhausted,
+      redactions,
+      ...clustering
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatClusterResults(summary, clustering, account)
+      }],
+      structuredContent: summary
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'cluster_logs',
+      query: args.query,
+      clientId
+    });
+  }
+}
+
+/**
+ * Format cluster results for presentation
+ */
+function formatClusterResults(summary, clustering, account) {
+  let output = `🧩 Papertrail Log Patterns\n`;
+  output += `Query: "${summary.query}"\n`;
+  output += formatAccount(account);
+  output += `Time Range: ${summary.timeRange.minTime} - ${summary.timeRange.maxTime}\n`;
+  output += `Events scanned: ${summary.scanned}${summary.partial ? ' (scan limit reached; older events not included)' : ''}\n`;
+  output += `${formatRedactions(summary.redactions)}\n`;
+
+  if (summary.scanned === 0) {
+    output += '📭 No log events found matching the search criteria.\n';
+    return output;
+  }
+
+  return output + formatClusters(clustering, summary.scanned);
+}
+
+export {
+  clusterLogsTool,
+  executeClusterLogs
+};
@@ -0,0 +1,348 @@
+/**
+ * Compare cohorts MCP tool implementation
+ *
+ * Runs the same query over two sets of systems (e.g. canary and stable hosts)
+ * in the same time window and reports error rates, severity distributions and
+ * message patterns unique to or overrepresented in either set.
+ */
+
+import PapertrailClient, { MAX_PAGE_SIZE } from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { SourceResolver, resolveSources, SOURCE_SCHEMA_PROPERTIES } from '../sourceResolver.js';
+import { resolveTimeRange, TIME_SCHEMA_PROPERTIES } from '../timeParser.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { globalRedactor, mergeRedactions, formatRedactions } from '../redactor.js';
+import {
+  comparePatterns,
+  compareCounts,
+  formatPatternChanges,
+  formatCountDeltas,
+  DEFAULT_MIN_RATIO,
+  DEFAULT_MIN_DELTA
+} from '../patternComparison.js';
+import { SEVERITIES, severityName, isErrorSeverity } from '../severity.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_MAX_EVENTS = 5000;
+const MAX_EVENTS = 25 * MAX_PAGE_SIZE;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+const log = logger.child({ component: 'compare_cohorts' });
+
+/**
+ * Schema of one cohort argument
+ */
+const COHORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    label: {
+      type: 'string',
+      description: 'Name shown for this cohort (default: the system or group given)'
+    },
+    ...SOURCE_SCHEMA_PROPERTIES
+  }
+};
+
+/**
+ * MCP tool definition for comparing two cohorts of systems
+ */
+const compareCohortsTool = {
+  name: 'compare_cohorts',
+  description: 'Compare a query across two sets of systems or groups over the same time window, e.g. canary hosts against stable hosts during a rollout: error rate and severity distribution per cohort, plus message patterns that only appear in one cohort or are overrepresented in it. Counts are scaled by each cohort\'s event volume. Systems in both cohorts count only towards "cohort".',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'REQUIRED: Search query to compare (same syntax as search_logs). Use "*" for everything.'
+      },
+      cohort: {
+        ...COHORT_SCHEMA,
+        description: 'REQUIRED: The cohort under test, e.g. { "system": "web-canary-*" }. Takes system, group, systemId or groupId like search_logs, and an optional label.'
+      },
+      baseline: {
+        ...COHORT_SCHEMA,
+        description: 'REQUIRED: The cohort to compare against, e.g. { "system": "web-*" }. Systems that are also in cohort are left out.'
+      },
+      ...TIME_SCHEMA_PROPERTIES,
+      minRatio: {
+        type: 'number',
+        description: `Share difference that counts as overrepresented, as a factor either way (default: ${DEFAULT_MIN_RATIO})`,
+        minimum: 1.1
+      },
+      minDelta: {
+        type: 'integer',
+        description: `Smallest difference in event count (after scaling) worth reporting (default: ${DEFAULT_MIN_DELTA})`,
+        minimum: 1
+      },
+      top: {
+        type: 'integer',
+        description: `Entries per section (default: ${DEFAULT_TOP}, max: ${MAX_TOP})`,
+        minimum: 1,
+        maximum: MAX_TOP
+      },
+      maxEvents: {
+        type: 'integer',
+        description: `Most events scanned per cohort, newest first (default: ${DEFAULT_MAX_EVENTS}, max: ${MAX_EVENTS})`,
+        minimum: 1,
+        maximum: MAX_EVENTS
+      },
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['query', 'cohort', 'baseline']
+  }
+};
+
+/**
+ * Execute compare cohorts tool with rate limiting and error handling
+ */
+async function executeCompareCohorts(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    if (!args.query || args.query.trim() === '') {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Query parameter is required and cannot be empty. Use "*" to compare all events.',
+        { providedArgs: args, requiredFields: ['query'] }
+      );
+    }
+
+    ErrorHandler.validateArgs(args, compareCohortsTool.inputSchema);
+
+    const timeRange = resolveTimeRange(args);
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const resolver = new SourceResolver({ client });
+    const cohort = await resolveCohort('cohort', args.cohort, account, resolver);
+    const baseline = await resolveCohort('baseline', args.baseline, account, resolver);
+
+    // Overlapping systems (web-canary-1 also matches "web-*") belong to the cohort under test
+    const cohortSystemIds = new Set(cohort.sources.systems.map(system => system.id));
+    const excluded = baseline.sources.systems.filter(system => cohortSystemIds.has(system.id));
+    if (excluded.length > 0) {
+      baseline.sources.systems = baseline.sources.systems.filter(system => !cohortSystemIds.has(system.id));
+      if (baseline.sources.systems.length === 0) {
+        throw ErrorHandler.createError(
+          ERROR_CODES.INVALID_ARGUMENTS,
+          'Every baseline system is also in cohort; choose baseline systems outside the cohort'
+        );
+      }
+    }
+
+    const options = {
+      total: args.maxEvents || DEFAULT_MAX_EVENTS,
+      minTime: client.formatTime(timeRange.minTime),
+      ...(timeRange.input.maxTime && { maxTime: client.formatTime(timeRange.maxTime) })
+    };
+
+    log.info('Comparing cohorts', {
+      query: args.query,
+      cohort: cohort.label,
+      baseline: baseline.label,
+      maxEvents: options.total
+    });
+
+    const [cohortResult, baselineResult] = await Promise.all([
+      fetchCohort(client, args.query, cohort.sources, options),
+      fetchCohort(client, args.query, baseline.sources, options)
+    ]);
+
+    const failed = [cohortResult, baselineResult].find(result => !result.success);
+    if (failed) {
+      throw ErrorHandler.createApiError(failed, 'events/search.json');
+    }
+
+    // A baseline group can still contain cohort systems; drop their events
+    const baselineRaw = baselineResult.events.filter(event => !cohortSystemIds.has(event.source_id));
+
+    // Examples are shown verbatim, so compare the redacted messages
+    const cohortRedaction = globalRedactor.redactEvents(cohortResult.events);
+    const baselineRedaction = globalRedactor.redactEvents(baselineRaw);
+    const cohortEvents = cohortRedaction.events;
+    const baselineEvents = baselineRedaction.events;
+
+    const top = args.top || DEFAULT_TOP;
+    // Baseline counts are multiplied by this to match the cohort's event volume
+    const scale = baselineEvents.length > 0 ? cohortEvents.length / baselineEvents.length : 0;
+
+    const patterns = comparePatterns(baselineEvents, cohortEvents, {
+      scale,
+      minRatio: args.minRatio || DEFAULT_MIN_RATIO,
+      minDelta: args.minDelta || DEFAULT_MIN_DELTA,
+      top
+    });
+
+    const summary = {
+      query: args.query,
+      account: account.name,
+      timeRange: {
+        minTime: timeRange.minTime.toISOString(),
+        maxTime: timeRange.maxTime.toISOString(),
+        timezone: timeRange.timezone,
+        input: timeRange.input
+      },
+      cohort: describeCohort(cohort, cohortEvents, cohortResult),
+      baseline: {
+        ...describeCohort(baseline, baselineEvents, baselineResult),
+        excludedSystems: excluded
+      },
+      redactions: mergeRedactions(cohortRedaction.redactions, baselineRedaction.redactions),
+      severities: compareSeverities(cohortEvents, baselineEvents),
+      onlyInCohort: patterns.newPatterns,
+      onlyInBaseline: patterns.gonePatterns,
+      overrepresented: patterns.changedPatterns,
+      programs: compareCounts(baselineEvents, cohortEvents, event => event.program, scale).slice(0, top)
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatCohortComparison(summary, account)
+      }],
+      structuredContent: summary
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'compare_cohorts',
+      query: args.query,
+      clientId
+    });
+  }
+}
+
+/**
+ * Resolve one cohort argument to sources and a label
+ */
+async function resolveCohort(name, spec, account, resolver) {
+  ErrorHandler.validateArgs(spec, COHORT_SCHEMA);
+
+  if (!spec.system && !spec.group && !spec.systemId && !spec.groupId) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `${name} needs a system, group, systemId or groupId`
+    );
+  }
+
+  const sources = await resolveSources(spec, account, resolver);
+  const label = spec.label
+    || [spec.system || (spec.systemId && `system ${spec.systemId}`), spec.group || (spec.groupId && `group ${spec.groupId}`)]
+      .filter(Boolean)
+      .join(' in ');
+
+  return { label, sources };
+}
+
+/**
+ * Fetch up to options.total events of one cohort, newest first
+ */
+function fetchCohort(client, query, sources, options) {
+  return client.searchLogsPaged(query, {
+    ...options,
+    ...(sources.systems.length > 0 && { system_ids: sources.systems.map(system => system.id) }),
+    ...(sources.group && { group_id: sources.group.id })
+  });
+}
+
+/**
+ * Whether an event's severity counts as an error
+ */
+function isError(event) {
+  return isErrorSeverity(event.severity);
+}
+
+/**
+ * Summarize a cohort's events
+ */
+function describeCohort(cohort, events, result) {
+  const hosts = new Set(events.map(event => event.hostname).filter(Boolean));
+  const errors = events.filter(isError).length;
+
+  return {
+    label: cohort.label,
+    sources: cohort.sources,
+    events: events.length,
+    partial: !result.pagination.exhausted,
+    hosts: hosts.size,
+    eventsPerHost: hosts.size > 0 ? Math.round(events.length / hosts.size) : 0,
+    errors,
+    errorRate: share(errors, events.length)
+  };
+}
+
+/**
+ * Percentage of part in total, one decimal
+ */
+function share(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Severity distribution of both cohorts, most severe first
+ */
+function compareSeverities(cohortEvents, baselineEvents) {
+  const count = events => events.reduce((counts, event) => {
+    const severity = severityName(event.severity) || 'Unknown';
+    counts[severity] = (counts[severity] || 0) + 1;
+    return counts;
+  }, {});
+
+  const cohortCounts = count(cohortEvents);
+  const baselineCounts = count(baselineEvents);
+
+  return [...SEVERITIES, 'Unknown']
+    .filter(severity => cohortCounts[severity] || baselineCounts[severity])
+    .map(severity => ({
+      severity,
+      cohort: cohortCounts[severity] || 0,
+      cohortShare: share(cohortCounts[severity] || 0, cohortEvents.length),
+      baseline: baselineCounts[severity] || 0,
+      baselineShare: share(baselineCounts[severity] || 0, baselineEvents.length)
+    }));
+}
+
+/**
+ * Format a cohort comparison for presentation
+ */
+function formatCohortComparison(summary, account) {
+  const { cohort, baseline } = summary;
+  const describe = entry => `${entry.label}: ${entry.events} events from ${entry.hosts} hosts (~${entry.eventsPerHost}/host), error rate ${entry.errorRate}%${entry.partial ? ' (scan limit reached, partial)' : ''}`;
+
+  let output = `👥 Papertrail Cohort Comparison\n`;
+  output += `Query: "${summary.query}"\n`;
+  output += formatAccount(account);
+  output += `Time Range: ${summary.timeRange.minTime} - ${summary.timeRange.maxTime}\n`;
+  output += `Cohort: ${describe(cohort)}\n`;
+  output += `Baseline: ${describe(baseline)}\n`;
+  if (baseline.excludedSystems.length > 0) {
+    output += `Left out of baseline (in cohort): ${baseline.excludedSystems.map(system => system.name).join(', ')}\n`;
+  }
+  output += `${formatRedactions(summary.redactions)}\n`;
+
+  if (summary.severities.length > 0) {
+    output += `🎚️ Severities (${cohort.label} vs ${baseline.label}):\n`;
+    summary.severities.forEach(entry => {
+      output += `• ${entry.severity}: ${entry.cohort} (${entry.cohortShare}%) vs ${entry.baseline} (${entry.baselineShare}%)\n`;
+    });
+    output += '\n';
+  }
+
+  // Pattern lines read "baseline count → cohort count"
+  const sections = [
+    formatPatternChanges(`🆕 Only in ${cohort.label}:`, summary.onlyInCohort),
+    formatPatternChanges('📈📉 Over/underrepresented in cohort:', summary.overrepresented),
+    formatPatternChanges(`👋 Only in ${baseline.label}:`, summary.onlyInBaseline)
+  ].join('');
+
+  output += sections || '✅ No significant pattern differences between the cohorts.\n\n';
+  output += formatCountDeltas('⚙️ Programs:', summary.programs);
+
+  return output;
+}
+
+export {
+  compareCohortsTool,
+  executeCompareCohorts
+};
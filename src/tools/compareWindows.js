@@ -0,0 +1,313 @@
+/**
+ * Compare windows MCP tool implementation
+ *
+ * Runs the same query over a baseline window and an incident window and
+ * reports what changed: message patterns that appeared, disappeared or
+ * changed rate, and per-host/program count deltas.
+ */
+
+import PapertrailClient, { MAX_PAGE_SIZE } from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { SourceResolver, resolveSources, SOURCE_SCHEMA_PROPERTIES } from '../sourceResolver.js';
+import { parseTimeExpression, isValidTimezone, TIME_EXPRESSION_EXAMPLES } from '../timeParser.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { globalRedactor, mergeRedactions, formatRedactions } from '../redactor.js';
+import {
+  comparePatterns,
+  compareCounts,
+  formatPatternChanges,
+  formatCountDeltas,
+  DEFAULT_MIN_RATIO,
+  DEFAULT_MIN_DELTA
+} from '../patternComparison.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_MAX_EVENTS = 5000;
+const MAX_EVENTS = 25 * MAX_PAGE_SIZE;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+const log = logger.child({ component: 'compare_windows' });
+
+/**
+ * MCP tool definition for comparing a baseline and an incident window
+ */
+const compareWindowsTool = {
+  name: 'compare_windows',
+  description: 'Compare a query over a baseline window and an incident window (e.g. before and after a deploy): message patterns that are new, gone or changed rate significantly, plus per-host and per-program count changes. Counts are scaled when the windows differ in length.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'REQUIRED: Search query to compare (same syntax as search_logs). Use "*" for everything.'
+      },
+      incidentStart: {
+        type: 'string',
+        description: `REQUIRED: Start of the incident window, absolute or relative, e.g. ${TIME_EXPRESSION_EXAMPLES}`
+      },
+      incidentEnd: {
+        type: 'string',
+        description: 'End of the incident window (default: now)'
+      },
+      baselineStart: {
+        type: 'string',
+        description: 'Start of the baseline window (default: the incident window length before baselineEnd)'
+      },
+      baselineEnd: {
+        type: 'string',
+        description: 'End of the baseline window (default: incidentStart)'
+      },
+      timezone: {
+        type: 'string',
+        description: 'IANA timezone for calendar expressions and times without an offset (default: DEFAULT_TIMEZONE)'
+      },
+      minRatio: {
+        type: 'number',
+        description: `Rate change that counts as significant, as a factor either way (default: ${DEFAULT_MIN_RATIO}, i.e. doubled or halved)`,
+        minimum: 1.1
+      },
+      minDelta: {
+        type: 'integer',
+        description: `Smallest change in event count (after scaling) worth reporting (default: ${DEFAULT_MIN_DELTA})`,
+        minimum: 1
+      },
+      top: {
+        type: 'integer',
+        description: `Entries per section (default: ${DEFAULT_TOP}, max: ${MAX_TOP})`,
+        minimum: 1,
+        maximum: MAX_TOP
+      },
+      maxEvents: {
+        type: 'integer',
+        description: `Most events scanned per window, newest first (default: ${DEFAULT_MAX_EVENTS}, max: ${MAX_EVENTS})`,
+        minimum: 1,
+        maximum: MAX_EVENTS
+      },
+      ...SOURCE_SCHEMA_PROPERTIES,
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['query', 'incidentStart']
+  }
+};
+
+/**
+ * Execute compare windows tool with rate limiting and error handling
+ */
+async function executeCompareWindows(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    if (!args.query || args.query.trim() === '') {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Query parameter is required and cannot be empty. Use "*" to compare all events.',
+        { providedArgs: args, requiredFields: ['query'] }
+      );
+    }
+
+    ErrorHandler.validateArgs(args, compareWindowsTool.inputSchema);
+
+    const { baseline, incident } = resolveWindows(args);
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const sources = await resolveSources(args, account, new SourceResolver({ client }));
+    const maxEvents = args.maxEvents || DEFAULT_MAX_EVENTS;
+
+    log.info('Comparing windows', {
+      query: args.query,
+      baseline: [baseline.minTime.toISOString(), baseline.maxTime.toISOString()],
+      incident: [incident.minTime.toISOString(), incident.maxTime.toISOString()]
+    });
+
+    const [baselineResult, incidentResult] = await Promise.all([
+      fetchWindow(client, args.query, baseline, sources, maxEvents),
+      fetchWindow(client, args.query, incident, sources, maxEvents)
+    ]);
+
+    const failed = [baselineResult, incidentResult].find(result => !result.success);
+    if (failed) {
+      throw ErrorHandler.createApiError(failed, 'events/search.json');
+    }
+
+    // Examples are shown verbatim, so compare the redacted messages
+    const baselineRedaction = globalRedactor.redactEvents(baselineResult.events);
+    const incidentRedaction = globalRedactor.redactEvents(incidentResult.events);
+
+    const baselineEvents = baselineRedaction.events;
+    const incidentEvents = incidentRedaction.events;
+    const top = args.top || DEFAULT_TOP;
+    // Baseline counts are multiplied by this to match the incident window length,
+    // measured over the time the fetched events actually cover
+    const scale = coveredLength(incident, incidentResult) / coveredLength(baseline, baselineResult);
+
+    const patterns = comparePatterns(baselineEvents, incidentEvents, {
+      scale,
+      minRatio: args.minRatio || DEFAULT_MIN_RATIO,
+      minDelta: args.minDelta || DEFAULT_MIN_DELTA,
+      top
+    });
+
+    const summary = {
+      query: args.query,
+      account: account.name,
+      sources,
+      baseline: describeWindow(baseline, baselineResult),
+      incident: describeWindow(incident, incidentResult),
+      redactions: mergeRedactions(baselineRedaction.redactions, incidentRedaction.redactions),
+      ...patterns,
+      hosts: compareCounts(baselineEvents, incidentEvents, event => event.hostname, scale).slice(0, top),
+      programs: compareCounts(baselineEvents, incidentEvents, event => event.program, scale).slice(0, top)
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatComparison(summary, account)
+      }],
+      structuredContent: summary
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'compare_windows',
+      query: args.query,
+      clientId
+    });
+  }
+}
+
+/**
+ * Resolve the incident window, then the baseline (by default the same length, just before it)
+ */
+function resolveWindows(args, { now = new Date() } = {}) {
+  const timezone = args.timezone || config.search.timezone;
+  if (!isValidTimezone(timezone)) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Unknown timezone "${timezone}". Use an IANA name such as "UTC" or "Europe/Berlin".`
+    );
+  }
+
+  const parse = (field, fallback) => {
+    if (!args[field]) {
+      return fallback;
+    }
+    const date = parseTimeExpression(args[field], { now, timezone });
+    if (!date) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid ${field} "${args[field]}". Use ISO 8601 or an expression like ${TIME_EXPRESSION_EXAMPLES}.`
+      );
+    }
+    return date;
+  };
+
+  const incident = { minTime: parse('incidentStart'), maxTime: parse('incidentEnd', new Date(now.getTime())) };
+  const baselineEnd = parse('baselineEnd', incident.minTime);
+  const baseline = {
+    minTime: parse('baselineStart', new Date(baselineEnd.getTime() - windowLength(incident))),
+    maxTime: baselineEnd
+  };
+
+  for (const [name, range] of [['incident', incident], ['baseline', baseline]]) {
+    if (range.minTime >= range.maxTime) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `The ${name} window start (${range.minTime.toISOString()}) must be before its end (${range.maxTime.toISOString()})`
+      );
+    }
+  }
+
+  if (baseline.maxTime > incident.minTime) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `The baseline window (ending ${baseline.maxTime.toISOString()}) must end before the incident window starts (${incident.minTime.toISOString()})`
+    );
+  }
+
+  return { baseline, incident };
+}
+
+/**
+ * Length of a resolved window in milliseconds
+ */
+function windowLength(range) {
+  return range.maxTime.getTime() - range.minTime.getTime();
+}
+
+/**
+ * Start of the part of a window the fetched events cover. Windows are walked
+ * newest first, so one cut short by maxEvents only covers its newest part.
+ */
+function coveredFrom(range, result) {
+  if (result.pagination.exhausted || result.events.length === 0) {
+    return range.minTime;
+  }
+  return new Date(result.events[0].received_at);
+}
+
+/**
+ * Milliseconds of a window the fetched events cover (at least a second)
+ */
+function coveredLength(range, result) {
+  return Math.max(range.maxTime.getTime() - coveredFrom(range, result).getTime(), 1000);
+}
+
+/**
+ * Fetch up to maxEvents events of one window, newest first
+ */
+function fetchWindow(client, query, range, sources, maxEvents) {
+  return client.searchLogsPaged(query, {
+    total: maxEvents,
+    minTime: client.formatTime(range.minTime),
+    maxTime: client.formatTime(range.maxTime),
+    ...(sources.systems.length > 0 && { system_ids: sources.systems.map(system => system.id) }),
+    ...(sources.group && { group_id: sources.group.id })
+  });
+}
+
+/**
+ * Summarize a window for the result
+ */
+function describeWindow(range, result) {
+  return {
+    minTime: range.minTime.toISOString(),
+    maxTime: range.maxTime.toISOString(),
+    events: result.events.length,
+    partial: !result.pagination.exhausted,
+    coveredFrom: coveredFrom(range, result).toISOString()
+  };
+}
+
+/**
+ * Format a window comparison for presentation
+ */
+function formatComparison(summary, account) {
+  const describe = window => `${window.minTime} - ${window.maxTime}: ${window.events} events${window.partial ? ` (maxEvents reached; rates use ${window.coveredFrom} onwards)` : ''}`;
+
+  let output = `🔀 Papertrail Window Comparison\n`;
+  output += `Query: "${summary.query}"\n`;
+  output += formatAccount(account);
+  output += `Baseline: ${describe(summary.baseline)}\n`;
+  output += `Incident: ${describe(summary.incident)}\n`;
+  output += `${formatRedactions(summary.redactions)}\n`;
+
+  const sections = [
+    formatPatternChanges('🆕 New patterns:', summary.newPatterns),
+    formatPatternChanges('📈📉 Changed rate:', summary.changedPatterns),
+    formatPatternChanges('👋 Gone patterns:', summary.gonePatterns)
+  ].join('');
+
+  output += sections || '✅ No significant pattern changes between the windows.\n\n';
+  output += formatCountDeltas('🖥️ Hosts:', summary.hosts);
+  output += formatCountDeltas('⚙️ Programs:', summary.programs);
+
+  return output;
+}
+
+export {
+  compareWindowsTool,
+  executeCompareWindows
+};
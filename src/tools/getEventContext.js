@@ -0,0 +1,241 @@
+/**
+ * Event context MCP tool implementation
+ *
+ * Fetches the events immediately before and after a given event ID,
+ * optionally limited to the same system and/or program.
+ */
+
+import PapertrailClient from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { globalRedactor, formatRedactions } from '../redactor.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+
+const DEFAULT_CONTEXT_LINES = 10;
+const MAX_CONTEXT_LINES = 500;
+
+// The ID range bounds the lookup, so it can reach back as far as Papertrail keeps logs
+const MAX_RETENTION_MS = 366 * 24 * 60 * 60 * 1000;
+
+// Context lines are searched within this distance of the anchor event
+const CONTEXT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * MCP tool definition for fetching the context around a log event
+ */
+const getEventContextTool = {
+  name: 'get_event_context',
+  description: 'Show the log lines just before and after a specific event (e.g. an exception found by search_logs). By default only lines from the same system are included.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      eventId: {
+        type: 'string',
+        description: 'REQUIRED: Event ID as returned by search_logs (events[].id)'
+      },
+      before: {
+        type: 'integer',
+        description: `Number of events before the anchor event (default: ${DEFAULT_CONTEXT_LINES}, max: ${MAX_CONTEXT_LINES})`,
+        minimum: 0,
+        maximum: MAX_CONTEXT_LINES
+      },
+      after: {
+        type: 'integer',
+        description: `Number of events after the anchor event (default: ${DEFAULT_CONTEXT_LINES}, max: ${MAX_CONTEXT_LINES})`,
+        minimum: 0,
+        maximum: MAX_CONTEXT_LINES
+      },
+      sameSource: {
+        type: 'boolean',
+        description: 'Only include events from the same system as the anchor event (default: true)'
+      },
+      sameProgram: {
+        type: 'boolean',
+        description: 'Only include events from the same program as the anchor event (default: false)'
+      },
+      query: {
+        type: 'string',
+        description: 'Optional search query the context events must also match'
+      },
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['eventId']
+  }
+};
+
+/**
+ * Execute get event context tool with rate limiting and error handling
+ */
+async function executeGetEventContext(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    // Accept numeric IDs too, since they are easy to produce by mistake
+    if (typeof args.eventId === 'number') {
+      args = { ...args, eventId: String(args.eventId) };
+    }
+
+    ErrorHandler.validateArgs(args, getEventContextTool.inputSchema);
+
+    if (!/^\d+$/.test(args.eventId)) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'eventId must be a numeric Papertrail event ID (as returned in search_logs results)'
+      );
+    }
+
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const before = args.before ?? DEFAULT_CONTEXT_LINES;
+    const after = args.after ?? DEFAULT_CONTEXT_LINES;
+    const sameSource = args.sameSource ?? true;
+    const sameProgram = args.sameProgram ?? false;
+
+    const anchor = await findEvent(client, args.eventId);
+
+    const query = buildContextQuery(args.query, sameProgram ? anchor.program : null);
+    const scope = {
+      ...(sameSource && anchor.source_id && { system_id: anchor.source_id })
+    };
+
+    // Search around the anchor's time rather than the default window, which may not reach it
+    const anchorMs = Date.parse(anchor.received_at);
+    const olderRange = {
+      minTime: client.formatTime(new Date(anchorMs - CONTEXT_WINDOW_MS)),
+      maxTime: client.formatTime(new Date(anchorMs + 1000))
+    };
+    const newerRange = {
+      minTime: client.formatTime(new Date(anchorMs)),
+      maxTime: client.formatTime(new Date(Math.min(anchorMs + CONTEXT_WINDOW_MS, Date.now())))
+    };
+
+    const [olderResult, newerResult] = await Promise.all([
+      before > 0
+        ? client.searchLogsPaged(query, { ...scope, ...olderRange, direction: 'older', max_id: anchor.id, total: before })
+        : null,
+      after > 0
+        ? client.searchLogsPaged(query, { ...scope, ...newerRange, direction: 'newer', min_id: anchor.id, total: after })
+        : null
+    ]);
+
+    const failed = [olderResult, newerResult].find(result => result && !result.success);
+    if (failed) {
+      throw ErrorHandler.createApiError(failed, 'events/search.json');
+    }
+
+    // Redact the anchor and its context in one pass so the count covers every line shown
+    const olderEvents = olderResult?.events || [];
+    const newerEvents = newerResult?.events || [];
+    const { events: redacted, redactions } = globalRedactor.redactEvents([...olderEvents, anchor, ...newerEvents]);
+
+    const context = {
+      anchor: redacted[olderEvents.length],
+      before: redacted.slice(0, olderEvents.length),
+      after: redacted.slice(olderEvents.length + 1),
+      query: args.query,
+      sameSource,
+      sameProgram,
+      redactions,
+      account
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatEventContext(context)
+      }],
+      redactions
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'get_event_context',
+      eventId: args.eventId,
+      clientId
+    });
+  }
+}
+
+/**
+ * Look up a single event by ID.
+ * The search API has no fetch-by-ID, so search the ID range (id-1, id+1)
+ * which contains the event whether min_id/max_id are inclusive or not.
+ */
+async function findEvent(client, eventId) {
+  const id = BigInt(eventId);
+  const result = await client.searchLogs('', {
+    min_id: String(id - 1n),
+    max_id: String(id + 1n),
+    minTime: client.formatTime(new Date(Date.now() - MAX_RETENTION_MS)),
+    maxTime: client.formatTime(new Date()),
+    limit: 3
+  });
+
+  if (!result.success) {
+    throw ErrorHandler.createApiError(result, 'events/search.json');
+  }
+
+  const event = result.events.find(candidate => String(candidate.id) === eventId);
+  if (!event) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.NOT_FOUND,
+      `Event ${eventId} was not found (it may no longer be retained)`
+    );
+  }
+
+  return event;
+}
+
+/**
+ * Combine the optional user query with a program restriction
+ */
+function buildContextQuery(query, program) {
+  const userQuery = query ? query.trim() : '';
+  if (!program) {
+    return userQuery;
+  }
+
+  const programTerm = /\s/.test(program) ? `program:"${program}"` : `program:${program}`;
+  // Parenthesize so OR in the user query doesn't escape the program restriction
+  return userQuery ? `(${userQuery}) ${programTerm}` : programTerm;
+}
+
+/**
+ * Format one context line
+ */
+function formatContextLine(event, marker) {
+  const time = new Date(event.received_at).toISOString();
+  return `${marker} [${time}] ${event.hostname || 'unknown'}:${event.program || 'unknown'} ${event.message || ''}\n`;
+}
+
+/**
+ * Format event context for presentation
+ */
+function formatEventContext({ anchor, before, after, query, sameSource, sameProgram, redactions, account }) {
+  const scope = [
+    sameSource ? `system ${anchor.source_name || anchor.hostname} (id: ${anchor.source_id})` : 'all systems',
+    sameProgram ? `program ${anchor.program}` : null,
+    query ? `query "${query}"` : null
+  ].filter(Boolean).join(', ');
+
+  let output = `🧭 Context for event ${anchor.id}\n`;
+  output += formatAccount(account);
+  output += `Scope: ${scope}\n`;
+  output += `Showing ${before.length} before, ${after.length} after\n`;
+  output += `${formatRedactions(redactions)}\n`;
+
+  before.forEach(event => {
+    output += formatContextLine(event, '  ');
+  });
+  output += formatContextLine(anchor, '▶');
+  after.forEach(event => {
+    output += formatContextLine(event, '  ');
+  });
+
+  return output;
+}
+
+export {
+  getEventContextTool,
+  executeGetEventContext,
+  findEvent
+};
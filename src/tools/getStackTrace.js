@@ -0,0 +1,124 @@
+/**
+ * Stack trace MCP tool implementation
+ *
+ * Reassembles the multi-line stack trace a given event belongs to from the
+ * neighbouring events of the same system and program.
+ */
+
+import PapertrailClient from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { globalRedactor, formatRedactions } from '../redactor.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { assembleTrace, toTraceEvent, looksLikeTrace, DEFAULT_MAX_LINES } from '../stackTraces.js';
+import { findEvent } from './getEventContext.js';
+
+const MAX_LINES = 1000;
+
+/**
+ * MCP tool definition for reassembling a stack trace
+ */
+const getStackTraceTool = {
+  name: 'get_stack_trace',
+  description: 'Reassemble the full multi-line stack trace (Java, Ruby, Python, Node) that a log event belongs to. Pass the ID of any line of the trace, e.g. an exception header found by search_logs; the other lines are taken from adjacent events of the same system and program.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      eventId: {
+        type: 'string',
+        description: 'REQUIRED: Event ID of any line of the trace, as returned by search_logs (events[].id)'
+      },
+      maxLines: {
+        type: 'integer',
+        description: `Most lines to collect (default: ${DEFAULT_MAX_LINES}, max: ${MAX_LINES})`,
+        minimum: 2,
+        maximum: MAX_LINES
+      },
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['eventId']
+  }
+};
+
+/**
+ * Execute get stack trace tool with rate limiting and error handling
+ */
+async function executeGetStackTrace(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    // Accept numeric IDs too, since they are easy to produce by mistake
+    if (typeof args.eventId === 'number') {
+      args = { ...args, eventId: String(args.eventId) };
+    }
+
+    ErrorHandler.validateArgs(args, getStackTraceTool.inputSchema);
+
+    if (!/^\d+$/.test(args.eventId)) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'eventId must be a numeric Papertrail event ID (as returned in search_logs results)'
+      );
+    }
+
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const anchor = await findEvent(client, args.eventId);
+    const trace = looksLikeTrace(anchor.message)
+      ? await assembleTrace(client, anchor, { maxLines: args.maxLines || DEFAULT_MAX_LINES })
+      : { lines: [anchor], truncated: false };
+
+    // Redact every line shown, counted once
+    const { events: lines, redactions } = globalRedactor.redactEvents(trace.lines);
+    const event = toTraceEvent({ lines, truncated: trace.truncated });
+    const structured = {
+      ...client.parseEvent(event),
+      anchorId: anchor.id,
+      account: account.name,
+      redactions
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatStackTrace(structured, anchor, account)
+      }],
+      structuredContent: structured
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'get_stack_trace',
+      eventId: args.eventId,
+      clientId
+    });
+  }
+}
+
+/**
+ * Format a reassembled stack trace for presentation
+ */
+function formatStackTrace(trace, anchor, account) {
+  const { stackTrace } = trace;
+
+  let output = `🧵 Stack trace for event ${trace.anchorId}\n`;
+  output += formatAccount(account);
+  output += `Source: ${trace.hostname || 'unknown'}:${trace.program || 'unknown'} (system id: ${trace.source.id})\n`;
+  output += `Time: ${trace.timestamp} - ${stackTrace.lastReceivedAt}\n`;
+  output += `Lines: ${stackTrace.lineCount}${stackTrace.truncated ? ' (maxLines reached, trace may continue)' : ''}\n`;
+  output += `Event IDs: ${stackTrace.eventIds[0]} - ${stackTrace.eventIds[stackTrace.eventIds.length - 1]}\n`;
+  output += `${formatRedactions(trace.redactions)}\n`;
+
+  if (stackTrace.lineCount === 1) {
+    output += looksLikeTrace(anchor.message)
+      ? '⚠️ No adjacent trace lines were found from the same system and program.\n\n'
+      : '⚠️ This event does not look like part of a stack trace.\n\n';
+  }
+
+  output += `${trace.message}\n`;
+  return output;
+}
+
+export {
+  getStackTraceTool,
+  executeGetStackTrace
+};
@@ -0,0 +1,66 @@
+/**
+ * List accounts MCP tool implementation
+ */
+
+import { ErrorHandler } from '../middleware/errorHandler.js';
+import { listAccounts } from '../accounts.js';
+
+/**
+ * MCP tool definition for listing the configured Papertrail accounts
+ */
+const listAccountsTool = {
+  name: 'list_accounts',
+  description: 'List the Papertrail accounts this server is configured for (names, API URL, default group and rate limits; never tokens). Pass a name as `account` to the other tools, or several to search_logs.',
+  inputSchema: {
+    type: 'object',
+    properties: {}
+  }
+};
+
+/**
+ * Execute list accounts tool. Reads local configuration only, so it is not rate limited.
+ */
+async function executeListAccounts(args = {}, clientId = 'default') {
+  try {
+    ErrorHandler.validateArgs(args, listAccountsTool.inputSchema);
+
+    const accounts = listAccounts();
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatAccounts(accounts)
+      }],
+      structuredContent: { accounts }
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'list_accounts',
+      clientId
+    });
+  }
+}
+
+/**
+ * Format accounts for presentation
+ */
+function formatAccounts(accounts) {
+  let output = `🔑 Papertrail Accounts\n`;
+  output += `Found: ${accounts.length} accounts\n\n`;
+
+  accounts.forEach((account, index) => {
+    output += `${index + 1}. ${account.name}${account.isDefault ? ' (default)' : ''}\n`;
+    output += `   API: ${account.baseUrl}\n`;
+    output += `   Default group: ${account.defaultGroup || 'none'}\n`;
+    output += `   Rate limit: ${account.rateLimit.requestsPerMinute}/min, burst ${account.rateLimit.burst}\n\n`;
+  });
+
+  return output;
+}
+
+export {
+  listAccountsTool,
+  executeListAccounts
+};
@@ -0,0 +1,98 @@
+/**
+ * List groups MCP tool implementation
+ */
+
+import PapertrailClient from '../papertrailClient.js';
+import { ErrorHandler } from '../middleware/errorHandler.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+
+/**
+ * MCP tool definition for listing Papertrail groups
+ */
+const listGroupsTool = {
+  name: 'list_groups',
+  description: 'List Papertrail groups with their IDs, system wildcard and member systems. Use this to find the group to pass to search_logs.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Optional filter: only groups whose name contains this text (case-insensitive)'
+      },
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    }
+  }
+};
+
+/**
+ * Execute list groups tool with rate limiting and error handling
+ */
+async function executeListGroups(args = {}, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    ErrorHandler.validateArgs(args, listGroupsTool.inputSchema);
+
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const result = await client.getGroups();
+
+    if (!result.success) {
+      throw ErrorHandler.createApiError(result, 'groups.json');
+    }
+
+    const needle = args.name?.toLowerCase();
+    const groups = result.groups
+      .filter(group => !needle || (group.name || '').toLowerCase().includes(needle))
+      .map(group => ({
+        id: group.id,
+        name: group.name,
+        systemWildcard: group.system_wildcard || null,
+        systems: (group.systems || []).map(system => ({ id: system.id, name: system.name }))
+      }));
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatGroups(groups, args.name, account)
+      }]
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'list_groups',
+      clientId
+    });
+  }
+}
+
+/**
+ * Format groups for presentation
+ */
+function formatGroups(groups, filter, account) {
+  let output = `🗂️ Papertrail Groups\n`;
+  output += formatAccount(account);
+  if (filter) {
+    output += `Filter: "${filter}"\n`;
+  }
+  output += `Found: ${groups.length} groups\n\n`;
+
+  if (groups.length === 0) {
+    output += '📭 No groups found.\n';
+    return output;
+  }
+
+  groups.forEach((group, index) => {
+    output += `${index + 1}. ${group.name} (id: ${group.id})\n`;
+    output += `   System wildcard: ${group.systemWildcard || 'none'}\n`;
+    const memberNames = group.systems.map(system => `${system.name} (id: ${system.id})`);
+    output += `   Systems (${memberNames.length}): ${memberNames.length > 0 ? memberNames.join(', ') : 'none'}\n\n`;
+  });
+
+  return output;
+}
+
+export {
+  listGroupsTool,
+  executeListGroups
+};
@@ -0,0 +1,144 @@
+/**
+ * List systems MCP tool implementation
+ */
+
+import PapertrailClient from '../papertrailClient.js';
+import { ErrorHandler } from '../middleware/errorHandler.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+
+/**
+ * MCP tool definition for listing Papertrail systems (log senders)
+ */
+const listSystemsTool = {
+  name: 'list_systems',
+  description: 'List Papertrail systems (log sources) with their IDs, hostnames, IPs, last event time and group membership. Use this to find the system to pass to search_logs.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      name: {
+        type: 'string',
+        description: 'Optional filter: only systems whose name or hostname contains this text (case-insensitive)'
+      },
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    }
+  }
+};
+
+/**
+ * Execute list systems tool with rate limiting and error handling
+ */
+async function executeListSystems(args = {}, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    ErrorHandler.validateArgs(args, listSystemsTool.inputSchema);
+
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+
+    const [systemsResult, groupsResult] = await Promise.all([
+      client.getSystems(),
+      client.getGroups()
+    ]);
+
+    if (!systemsResult.success) {
+      throw ErrorHandler.createApiError(systemsResult, 'systems.json');
+    }
+
+    // Group membership is only available from the groups endpoint
+    const groupsBySystem = buildGroupMembership(groupsResult.groups);
+
+    const systems = systemsResult.systems
+      .filter(system => matchesNameFilter(system, args.name))
+      .map(system => ({
+        id: system.id,
+        name: system.name,
+        hostname: system.hostname || system.syslog?.hostname || null,
+        ipAddress: system.ip_address || null,
+        lastEventAt: system.last_event_at || null,
+        groups: groupsBySystem.get(system.id) || []
+      }));
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatSystems(systems, args.name, groupsResult.success, account)
+      }]
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'list_systems',
+      clientId
+    });
+  }
+}
+
+/**
+ * Map system ID to the groups it belongs to
+ */
+function buildGroupMembership(groups = []) {
+  const membership = new Map();
+
+  groups.forEach(group => {
+    (group.systems || []).forEach(system => {
+      if (!membership.has(system.id)) {
+        membership.set(system.id, []);
+      }
+      membership.get(system.id).push({ id: group.id, name: group.name });
+    });
+  });
+
+  return membership;
+}
+
+/**
+ * Check a system against the optional name filter
+ */
+function matchesNameFilter(system, filter) {
+  if (!filter) return true;
+  const needle = filter.toLowerCase();
+  return [system.name, system.hostname]
+    .filter(Boolean)
+    .some(value => value.toLowerCase().includes(needle));
+}
+
+/**
+ * Format systems for presentation
+ */
+function formatSystems(systems, filter, groupsAvailable, account) {
+  let output = `🖥️ Papertrail Systems\n`;
+  output += formatAccount(account);
+  if (filter) {
+    output += `Filter: "${filter}"\n`;
+  }
+  output += `Found: ${systems.length} systems\n\n`;
+
+  if (systems.length === 0) {
+    output += '📭 No systems found.\n';
+    return output;
+  }
+
+  systems.forEach((system, index) => {
+    output += `${index + 1}. ${system.name} (id: ${system.id})\n`;
+    output += `   Hostname: ${system.hostname || 'N/A'}\n`;
+    output += `   IP: ${system.ipAddress || 'N/A'}\n`;
+    output += `   Last event: ${system.lastEventAt ? new Date(system.lastEventAt).toLocaleString() : 'never'}\n`;
+    if (groupsAvailable) {
+      const groupNames = system.groups.map(group => `${group.name} (id: ${group.id})`);
+      output += `   Groups: ${groupNames.length > 0 ? groupNames.join(', ') : 'none'}\n`;
+    }
+    output += '\n';
+  });
+
+  if (!groupsAvailable) {
+    output += '⚠️  Group membership unavailable (groups request failed)\n';
+  }
+
+  return output;
+}
+
+export {
+  listSystemsTool,
+  executeListSystems
+};
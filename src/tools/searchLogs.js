@@ -2,9 +2,51 @@
  * Search logs MCP tool implementation
  */
 
-import PapertrailClient from '../papertrailClient.js';
-import { createRateLimitMiddleware } from '../middleware/rateLimiter.js';
+import PapertrailClient, { MAX_PAGE_SIZE } from '../papertrailClient.js';
+import { config } from '../config.js';
 import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { SourceResolver, resolveSources, globToRegExp, SOURCE_SCHEMA_PROPERTIES } from '../sourceResolver.js';
+import { OUTPUT_FORMATS, formatEvents } from '../formatters/eventFormats.js';
+import { resolveTimeRange, TIME_SCHEMA_PROPERTIES } from '../timeParser.js';
+import { logger } from '../logger.js';
+import { globalRedactor, formatRedactions } from '../redactor.js';
+import { getAccount, resolveAccounts, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { clusterEvents, formatClusters } from '../patternClusterer.js';
+import {
+  FIELD_SCHEMA_PROPERTIES,
+  parseFilters,
+  createEventFilter,
+  extractFields,
+  selectFields,
+  formatFields
+} from '../fieldExtractor.js';
+import { assembleStackTraces } from '../stackTraces.js';
+import {
+  QUERY_BUILDER_SCHEMA_PROPERTIES,
+  hasQueryParts,
+  buildQuery,
+  validateQuery,
+  formatQueryErrors
+} from '../queryBuilder.js';
+import {
+  SEVERITY_SCHEMA_PROPERTIES,
+  severityLevel,
+  severityName,
+  isErrorSeverity,
+  createSeverityFilter
+} from '../severity.js';
+
+// Upper bound on events returned by one call (paged 1000 at a time)
+const MAX_SEARCH_LIMIT = 10000;
+
+// Events scanned per account when where/regex filters drop events after the search
+const FILTER_SCAN_LIMIT = 10000;
+const MAX_FILTER_SCAN_LIMIT = 50000;
+
+// API calls per account for a filtered search
+const MAX_SCAN_PAGES = 50;
+
+const CURSOR_VERSION = 1;
 
 /**
  * MCP tool definition for searching Papertrail logs
@@ -17,146 +59,234 @@ const searchLogsTool = {
     properties: {
       query: {
         type: 'string',
-        description: 'REQUIRED: Search query to find in logs. Extract keywords from user message (e.g., "payment error", "login timeout", "order failed"). Use quotes for exact terms like "order-12345".'
+        description: 'Search query to find in logs (required unless allTerms/anyTerms/excludeTerms/phrases/hosts/programs are given). Extract keywords from user message (e.g., "payment error", "login timeout", "order failed"). Use quotes for exact terms like "order-12345". Papertrail syntax: words are ANDed, OR between terms, -term excludes, parentheses group, host:/program: filter; no wildcards or regexes.'
+      },
+      ...QUERY_BUILDER_SCHEMA_PROPERTIES,
+      ...TIME_SCHEMA_PROPERTIES,
+      limit: {
+        type: 'integer',
+        description: `Maximum number of log events to return (default: 100, max: ${MAX_SEARCH_LIMIT}). Results beyond 1000 are fetched page by page.`,
+        minimum: 1,
+        maximum: MAX_SEARCH_LIMIT
       },
-      minTime: {
+      format: {
         type: 'string',
-        description: 'Minimum time for search (ISO 8601 format, defaults to 1 hour ago)'
+        enum: OUTPUT_FORMATS,
+        description: 'Output format: "text" (default, readable summary), "json" (structured events with summary), "ndjson" (one JSON event per line), "csv", "markdown" (table) or "compact" (one line per event)'
       },
-      maxTime: {
+      cluster: {
+        type: 'boolean',
+        description: 'Collapse near-identical events into message patterns (numbers, IDs, UUIDs, IPs, hex and quoted values masked) with counts, first/last seen, hosts and one example, instead of listing every event'
+      },
+      ...FIELD_SCHEMA_PROPERTIES,
+      regex: {
         type: 'string',
-        description: 'Maximum time for search (ISO 8601 format, defaults to now)'
+        description: 'Regular expression (JavaScript syntax) the message must match, for what the Papertrail query cannot express, e.g. "status 5\\d\\d" or "/timeout after \\d+ms/i". Applied to the events the query returns, paging on until limit events match or the scan budget runs out, so keep the query as selective as possible.'
       },
-      limit: {
+      excludeRegex: {
+        type: 'string',
+        description: 'Regular expression the message must not match, e.g. "health_?check". Applied like regex.'
+      },
+      ...SEVERITY_SCHEMA_PROPERTIES,
+      facility: {
+        type: 'string',
+        description: 'Only events from this syslog facility, e.g. "local0", or a comma-separated list or glob ("local*")'
+      },
+      program: {
+        type: 'string',
+        description: 'Only events from this program, e.g. "nginx", or a comma-separated list or glob ("sidekiq*")'
+      },
+      maxScan: {
         type: 'integer',
-        description: 'Maximum number of log events to return (default: 100, max: 1000)',
+        description: `Scan budget for where/regex/severity/facility/program filters: most events fetched per account while looking for matches (default: ${FILTER_SCAN_LIMIT}, max: ${MAX_FILTER_SCAN_LIMIT})`,
         minimum: 1,
-        maximum: 1000
+        maximum: MAX_FILTER_SCAN_LIMIT
       },
-      systemId: {
+      maxApiCalls: {
         type: 'integer',
-        description: 'Filter logs to specific system ID'
+        description: `Scan budget for the same filters: most search API calls per account, ${MAX_PAGE_SIZE} events each (default and max: ${MAX_SCAN_PAGES})`,
+        minimum: 1,
+        maximum: MAX_SCAN_PAGES
       },
-      groupId: {
-        type: 'integer',
-        description: 'Filter logs to specific group ID'
+      stackTraces: {
+        type: 'boolean',
+        description: 'Reassemble multi-line stack traces: matched lines that look like part of an exception get the neighbouring lines of the same system and program stitched into one event (up to 10 traces per account, one or two extra API calls each)'
+      },
+      verbose: {
+        type: 'boolean',
+        description: 'Include request/response diagnostics (API URL, status, timing, paging) in a separate content block. Only for troubleshooting the search itself.'
+      },
+      cursor: {
+        type: 'string',
+        description: 'Cursor returned by a previous search_logs call ("older" or "newer"). Continues that search exactly where it stopped; query, sources, all filters (where, regex, severity, facility, program), account and time range come from the cursor, only limit, fields, stackTraces and the scan budget may be changed.'
+      },
+      ...SOURCE_SCHEMA_PROPERTIES,
+      account: {
+        type: 'string',
+        description: `${ACCOUNT_SCHEMA_PROPERTIES.account.description} Several accounts ("production, staging") or "*" for all run the same search in each and merge the results by time (no cursors are returned then).`
       }
-    },
-    required: ['query']
+    }
   }
 };
 
-// Initialize rate limiter
-const rateLimitMiddleware = createRateLimitMiddleware();
+const log = logger.child({ component: 'search_logs' });
 
 /**
  * Execute search logs tool with rate limiting and error handling
  */
-async function executeSearchLogs(args, clientId = 'default') {
+async function executeSearchLogs(args, clientId = 'default', extra = {}) {
   try {
-    // Apply rate limiting
-    rateLimitMiddleware(clientId);
+    // Continue a previous search when a cursor is given
+    const cursor = args.cursor ? decodeCursor(args.cursor) : null;
+    if (cursor) {
+      args = {
+        ...args,
+        query: cursor.query,
+        where: cursor.where,
+        regex: cursor.regex,
+        excludeRegex: cursor.excludeRegex,
+        minSeverity: cursor.minSeverity,
+        severities: cursor.severities,
+        facility: cursor.facility,
+        program: cursor.program,
+        fields: args.fields ?? cursor.fields,
+        stackTraces: args.stackTraces ?? cursor.stackTraces
+      };
+    }
+    
+    // A cursor belongs to the single account it was issued for
+    const accounts = cursor ? [getAccount(cursor.account)] : resolveAccounts(args.account);
     
     // Check for empty or missing query specifically
-    if (!args.query || args.query.trim() === '') {
+    if ((!args.query || args.query.trim() === '') && !hasQueryParts(args)) {
       throw ErrorHandler.createError(
         ERROR_CODES.INVALID_ARGUMENTS,
-        'Query parameter is required and cannot be empty. Please provide search terms extracted from the user message.',
+        'Query parameter is required and cannot be empty. Please provide search terms extracted from the user message, as query or as allTerms/anyTerms/phrases.',
         { providedArgs: args, requiredFields: ['query'] }
       );
     }
     
+    // Severities may be given as syslog numbers
+    if (typeof args.minSeverity === 'number') {
+      args = { ...args, minSeverity: String(args.minSeverity) };
+    }
+    if (Array.isArray(args.severities)) {
+      args = { ...args, severities: args.severities.map(String) };
+    }
+
     // Validate arguments using error handler
     ErrorHandler.validateArgs(args, searchLogsTool.inputSchema);
 
-    // Initialize Papertrail client
-    const client = new PapertrailClient();
-
-    // Parse time parameters
-    const options = {
-      limit: Math.min(parseInt(args.limit) || 100, 1000),
-      ...(args.systemId && { system_id: parseInt(args.systemId) }),
-      ...(args.groupId && { group_id: parseInt(args.groupId) })
-    };
-
-    // Parse time parameters if provided
-    if (args.minTime) {
-      const minTime = new Date(args.minTime);
-      if (isNaN(minTime.getTime())) {
-        throw ErrorHandler.createError(
-          ERROR_CODES.INVALID_ARGUMENTS,
-          'Invalid minTime format. Use ISO 8601 format (e.g., 2023-12-01T10:00:00Z)'
-        );
+    // Compile structured query parts and catch syntax errors before calling the API
+    let queryWarnings = [];
+    if (!cursor) {
+      if (hasQueryParts(args)) {
+        args = { ...args, query: buildQuery(args) };
       }
-      options.minTime = client.formatTime(minTime);
-    }
-
-    if (args.maxTime) {
-      const maxTime = new Date(args.maxTime);
-      if (isNaN(maxTime.getTime())) {
+      const validation = validateQuery(args.query);
+      if (!validation.valid) {
         throw ErrorHandler.createError(
           ERROR_CODES.INVALID_ARGUMENTS,
-          'Invalid maxTime format. Use ISO 8601 format (e.g., 2023-12-01T11:00:00Z)'
+          `Invalid query "${args.query}": ${formatQueryErrors(validation)}. Use validate_query to check a query before searching.`
         );
       }
-      options.maxTime = client.formatTime(maxTime);
+      queryWarnings = validation.warnings;
     }
 
-    console.log(`Searching Papertrail logs for: "${args.query}"`);
-    
-    // Capture request details
-    const requestDetails = {
-      query: args.query,
-      options: options,
-      timestamp: new Date().toISOString(),
-      apiUrl: `${client.baseUrl}/events/search.json`
+    const limit = Math.min(parseInt(args.limit) || 100, MAX_SEARCH_LIMIT);
+    const filters = parseFilters(args.where);
+    const patterns = {
+      regex: compileRegex(args.regex, 'regex'),
+      excludeRegex: compileRegex(args.excludeRegex, 'excludeRegex')
     };
-    
-    // Execute search
-    const result = await client.searchLogs(args.query, options);
-    console.log('Search result metadata:', result._metadata);
 
-    if (!result.success) {
-      throw ErrorHandler.createError(
-        ERROR_CODES.API_CONNECTION_ERROR,
-        `Papertrail API request failed: ${result.error}`,
-        { 
-          apiEndpoint: 'events/search.json',
-          requestDetails: requestDetails,
-          apiResponse: result
+    // Filters run on the fetched events; the search pages on until enough pass
+    const filter = combineFilters([
+      createEventFilter(filters),
+      createRegexFilter(patterns),
+      createSeverityFilter(args),
+      createFacilityProgramFilter(args)
+    ]);
+
+    // Resolve the time range; a cursor carries the original absolute bounds
+    // (an open-ended maxTime stays open so "newer" keeps finding new events)
+    const timeRange = resolveTimeRange(cursor ? {
+      minTime: cursor.minTime ? String(cursor.minTime) : null,
+      maxTime: cursor.maxTime ? String(cursor.maxTime) : null,
+      timezone: cursor.timezone
+    } : args);
+
+    log.info('Searching Papertrail logs', {
+      query: args.query,
+      limit,
+      accounts: accounts.map(account => account.name)
+    });
+    
+    // Execute the search in each account; several accounts are merged by time
+    const searches = await Promise.all(accounts.map(account =>
+      searchAccount(account, args, { cursor, limit, filter, timeRange, signal: extra.signal, clientId }).catch(error => {
+        if (accounts.length > 1) {
+          error.message = `Account "${account.name}": ${error.message}`;
         }
-      );
-    }
+        throw error;
+      })
+    ));
+    const { client, result, sources, options, requestDetails } = searches.length === 1
+      ? searches[0]
+      : mergeAccountSearches(searches, limit);
 
-    // Include debug information in the response
-    const debugInfo = {
-      request: requestDetails,
-      response: {
-        success: result.success,
-        total: result.total,
-        eventsReturned: result.events?.length || 0,
-        timeRange: result.timeRange,
-        apiResponseTime: result._metadata?.responseTime || 'N/A',
-        searchTime: result._metadata?.searchTime || new Date().toISOString(),
-        apiStatus: result._metadata?.status || 'N/A',
-        apiUrl: result._metadata?.url || requestDetails.apiUrl,
-        responseBody: result._metadata?.responseBody || null
-      }
+    // Redact sensitive values before any event leaves the server
+    const redaction = globalRedactor.redactEvents(result.events);
+    result.events = redaction.events;
+    result.redactions = redaction.redactions;
+    
+    if (args.cluster) {
+      result.clustering = clusterEvents(result.events);
+    }
+    
+    // Cursors let a follow-up call continue older or newer from here (single account only)
+    const cursors = result.accounts
+      ? { older: null, newer: null }
+      : buildCursors(result, args, sources, options, timeRange.timezone);
+    
+    // Parsed fields are shown when selected or filtered on
+    const view = {
+      filters,
+      regex: patterns.regex && args.regex,
+      excludeRegex: patterns.excludeRegex && args.excludeRegex,
+      minSeverity: args.minSeverity ? severityName(args.minSeverity) : null,
+      severities: args.severities?.length ? args.severities.map(severityName) : null,
+      facility: args.facility?.trim() || null,
+      program: args.program?.trim() || null,
+      fields: args.fields?.length ? args.fields : null,
+      queryWarnings
     };
     
-    // Format results with debug info included in the text
-    const formattedResult = formatSearchResults(result, args.query, debugInfo);
+    // Structured result is always returned; the text content follows the requested format
+    const structuredContent = buildStructuredResult(client, result, args.query, cursors, view);
+    const format = args.format || 'text';
+    
+    const content = format === 'text'
+      ? [{ type: 'text', text: formatSearchResults(result, args.query, view) + formatCursors(cursors) }]
+      : formatMachineReadable(format, structuredContent, cursors);
     
-    console.log(`Found ${result.total} log events matching "${args.query}"`);
+    log.info('Search complete', { query: args.query, total: result.total, pages: result.pagination?.pages, cache: result.cache });
     
-    return {
+    const response = {
       success: true,
-      content: [{
-        type: 'text',
-        text: formattedResult
-      }],
-      debug: debugInfo
+      content,
+      structuredContent,
+      cursors
     };
+    
+    // Diagnostics are opt-in and kept out of the main result
+    if (args.verbose ?? config.mcp.debugToolOutput) {
+      const debugInfo = buildDebugInfo(result, requestDetails);
+      content.push({ type: 'text', text: formatDebugInfo(debugInfo) });
+      response._meta = { debug: debugInfo };
+    }
+    
+    return response;
 
   } catch (error) {
     // Return formatted error response
@@ -168,54 +298,393 @@ async function executeSearchLogs(args, clientId = 'default') {
   }
 }
 
+/**
+ * Run the search in one account
+ * @returns {Promise<Object>} { account, client, result, sources, options, requestDetails }
+ */
+async function searchAccount(account, args, { cursor, limit, filter = null, timeRange, signal, clientId }) {
+  // Initialize Papertrail client
+  const client = new PapertrailClient({ account, signal, clientId });
+
+  // Resolve system/group names to IDs
+  const sources = cursor ? cursor.sources : await resolveSources(args, account, new SourceResolver({ client }));
+
+  const options = {
+    limit,
+    ...(sources.systems.length > 0 && { system_ids: sources.systems.map(system => system.id) }),
+    ...(sources.group && { group_id: sources.group.id })
+  };
+
+  options.minTime = client.formatTime(timeRange.minTime);
+  if (timeRange.input.maxTime) {
+    options.maxTime = client.formatTime(timeRange.maxTime);
+  }
+
+  if (cursor) {
+    options.direction = cursor.direction;
+    options[cursor.direction === 'older' ? 'max_id' : 'min_id'] = cursor.boundaryId;
+  }
+
+  // Post-search filters drop fetched events, so page on until enough match
+  if (filter) {
+    options.filter = filter;
+    options.maxScan = args.maxScan || FILTER_SCAN_LIMIT;
+    options.maxPages = args.maxApiCalls || MAX_SCAN_PAGES;
+  }
+
+  // Capture request details
+  const requestDetails = {
+    query: args.query,
+    account: account.name,
+    options: options,
+    timestamp: new Date().toISOString(),
+    apiUrl: `${client.baseUrl}/events/search.json`
+  };
+
+  // Execute search, paging past 1000 events and across selected systems
+  const result = await client.searchLogsPaged(args.query, options);
+  result.account = account;
+  result.sources = sources;
+  result.resolvedTimeRange = timeRange;
+
+  if (!result.success) {
+    throw ErrorHandler.createApiError(result, 'events/search.json', {
+      requestDetails: requestDetails,
+      apiResponse: result
+    });
+  }
+
+  if (args.stackTraces) {
+    const { events, assembled, skipped } = await assembleStackTraces(client, result.events);
+    result.events = events;
+    result.total = events.length;
+    result.stackTraces = { assembled, skipped };
+  }
+
+  return { account, client, result, sources, options, requestDetails };
+}
+
+/**
+ * Compile a regex argument, given as a bare pattern or as /pattern/flags
+ * @returns {RegExp|null} null when not given
+ */
+function compileRegex(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(value);
+  try {
+    // Matched once per event, so a global regex's lastIndex must not carry over
+    return literal
+      ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+      : new RegExp(value);
+  } catch (error) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      `Invalid ${name}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Build an event predicate for regex/excludeRegex, matched against the redacted message
+ * @returns {Function|null} event => boolean, or null without either
+ */
+function createRegexFilter({ regex, excludeRegex }) {
+  if (!regex && !excludeRegex) {
+    return null;
+  }
+
+  // Match what the caller will see, so a regex cannot probe redacted values
+  return event => {
+    const message = globalRedactor.redact(event.message || '').text;
+    return (!regex || regex.test(message)) && (!excludeRegex || !excludeRegex.test(message));
+  };
+}
+
+/**
+ * Build an event predicate for facility/program, each a comma-separated list of names or globs
+ * @returns {Function|null} event => boolean, or null without either
+ */
+function createFacilityProgramFilter({ facility, program }) {
+  const matcher = (spec, valueOf) => {
+    const patterns = String(spec).split(',').map(name => name.trim()).filter(Boolean).map(globToRegExp);
+    return event => patterns.some(pattern => pattern.test(valueOf(event) || ''));
+  };
+
+  return combineFilters([
+    facility?.trim() && matcher(facility, event => event.facility),
+    program?.trim() && matcher(program, event => event.program)
+  ]);
+}
+
+/**
+ * Combine event predicates (all must accept)
+ * @returns {Function|null} null when none are given
+ */
+function combineFilters(filters) {
+  const active = filters.filter(Boolean);
+  if (active.length <= 1) {
+    return active[0] || null;
+  }
+  return event => active.every(filter => filter(event));
+}
+
+/**
+ * Whether events were filtered after the Papertrail search
+ */
+function isFiltered(view) {
+  return view.filters.length > 0 || Boolean(view.regex || view.excludeRegex) ||
+    Boolean(view.minSeverity || view.severities || view.facility || view.program);
+}
+
+/**
+ * Merge the results of several accounts by time, keeping the newest `limit`
+ * events. Each event is tagged with the account it came from.
+ */
+function mergeAccountSearches(searches, limit) {
+  const merged = searches
+    .flatMap(({ account, result }) => result.events.map(event => ({ ...event, account: account.name })))
+    .sort((a, b) => Date.parse(a.received_at) - Date.parse(b.received_at));
+  const events = merged.slice(-limit);
+  const [first] = searches;
+
+  return {
+    ...first,
+    result: {
+      ...first.result,
+      events,
+      total: events.length,
+      account: null,
+      sources: null,
+      accounts: searches.map(({ account, result }) => ({
+        name: account.name,
+        total: result.total,
+        sources: result.sources
+      })),
+      ...(first.result.stackTraces && {
+        stackTraces: {
+          assembled: searches.reduce((sum, { result }) => sum + result.stackTraces.assembled, 0),
+          skipped: searches.reduce((sum, { result }) => sum + result.stackTraces.skipped, 0)
+        }
+      }),
+      pagination: {
+        pages: searches.reduce((sum, { result }) => sum + (result.pagination?.pages || 1), 0),
+        ...(first.result.pagination?.scanned !== undefined && {
+          scanned: searches.reduce((sum, { result }) => sum + result.pagination.scanned, 0),
+          scanLimitReached: searches.some(({ result }) => result.pagination.scanLimitReached)
+        })
+      }
+    },
+    requestDetails: {
+      ...first.requestDetails,
+      account: searches.map(({ account }) => account.name)
+    }
+  };
+}
+
+/**
+ * Collect request/response diagnostics for a search
+ */
+function buildDebugInfo(result, requestDetails) {
+  const firstEvent = result.events[0];
+
+  return {
+    request: requestDetails,
+    response: {
+      total: result.total,
+      pages: result.pagination?.pages || 1,
+      timeRange: result.timeRange,
+      apiResponseTime: result._metadata?.responseTime ?? null,
+      apiStatus: result._metadata?.status ?? null,
+      apiUrl: result._metadata?.url || requestDetails.apiUrl,
+      cache: result.cache ?? null,
+      rateLimit: {
+        limit: result._metadata?.headers?.['x-rate-limit-limit'] ?? null,
+        remaining: result._metadata?.headers?.['x-rate-limit-remaining'] ?? null,
+        reset: result._metadata?.headers?.['x-rate-limit-reset'] ?? null
+      },
+      firstEvent: firstEvent ? {
+        id: firstEvent.id,
+        received_at: firstEvent.received_at,
+        hostname: firstEvent.hostname,
+        program: firstEvent.program
+      } : null
+    }
+  };
+}
+
+/**
+ * Format diagnostics as a separate content block
+ */
+function formatDebugInfo(debugInfo) {
+  const { request, response } = debugInfo;
+
+  let output = `🔧 Request/Response Details:\n`;
+  output += `• API URL (last page): ${response.apiUrl}\n`;
+  output += `• HTTP Status: ${response.apiStatus ?? 'N/A'}\n`;
+  output += `• Response Time (last page): ${response.apiResponseTime ?? 'N/A'}ms\n`;
+  output += `• Pages Fetched: ${response.pages}\n`;
+  output += `• Cache (last page): ${response.cache ?? 'off'}\n`;
+  output += `• Request Options: ${JSON.stringify(request.options)}\n`;
+  output += `• Events Returned: ${response.total}\n`;
+  output += `• Rate Limit Remaining: ${response.rateLimit.remaining ?? 'N/A'}\n`;
+  return output;
+}
+
+/**
+ * Build the structured (machine-readable) form of a search result
+ */
+function buildStructuredResult(client, result, query, cursors, view) {
+  const withFields = view.fields || view.filters.length > 0;
+
+  return {
+    query,
+    ...(view.queryWarnings.length > 0 && { queryWarnings: view.queryWarnings }),
+    timeRange: {
+      minTime: new Date(result.timeRange.minTime * 1000).toISOString(),
+      maxTime: new Date(result.timeRange.maxTime * 1000).toISOString(),
+      timezone: result.resolvedTimeRange.timezone,
+      input: result.resolvedTimeRange.input
+    },
+    total: result.total,
+    ...(result.accounts ? { accounts: result.accounts } : { account: result.account.name, sources: result.sources }),
+    cursors,
+    redactions: result.redactions,
+    ...(view.filters.length > 0 && { where: view.filters.map(filter => filter.expression) }),
+    ...(view.regex && { regex: view.regex }),
+    ...(view.excludeRegex && { excludeRegex: view.excludeRegex }),
+    ...(view.minSeverity && { minSeverity: view.minSeverity }),
+    ...(view.severities && { severities: view.severities }),
+    ...(view.facility && { facility: view.facility }),
+    ...(view.program && { program: view.program }),
+    ...(isFiltered(view) && {
+      scanned: result.pagination?.scanned ?? null,
+      scanLimitReached: Boolean(result.pagination?.scanLimitReached)
+    }),
+    ...(view.fields && { fields: view.fields }),
+    ...(result.stackTraces && { stackTraces: result.stackTraces }),
+    ...(result.clustering && { clusters: result.clustering.clusters, otherClusters: result.clustering.otherClusters }),
+    events: result.events.map(event => withFields
+      ? { ...client.parseEvent(event), fields: selectFields(extractFields(event.message)?.fields || null, view.fields || ['*']) }
+      : client.parseEvent(event))
+  };
+}
+
+/**
+ * Render a structured result in a machine-readable format.
+ * JSON carries the cursors inline; other formats get them in a second block
+ * so the first block stays pure data.
+ */
+function formatMachineReadable(format, structured, cursors) {
+  const { events, ...summary } = structured;
+  const content = [{ type: 'text', text: formatEvents(format, events, summary) }];
+
+  if (format !== 'json' && (cursors.older || cursors.newer)) {
+    content.push({ type: 'text', text: formatCursors(cursors).trim() });
+  }
+
+  return content;
+}
+
+/**
+ * Build "older"/"newer" continuation cursors for a paged search result
+ * @returns {Object} { older: string|null, newer: string|null }
+ */
+function buildCursors(result, args, sources, options, timezone) {
+  const { pagination } = result;
+  const base = {
+    query: args.query,
+    ...(args.where?.length && { where: args.where }),
+    ...(args.regex && { regex: args.regex }),
+    ...(args.excludeRegex && { excludeRegex: args.excludeRegex }),
+    ...(args.minSeverity && { minSeverity: args.minSeverity }),
+    ...(args.severities?.length && { severities: args.severities }),
+    ...(args.facility && { facility: args.facility }),
+    ...(args.program && { program: args.program }),
+    ...(args.fields?.length && { fields: args.fields }),
+    ...(args.stackTraces && { stackTraces: true }),
+    account: result.account.name,
+    sources,
+    minTime: options.minTime || null,
+    maxTime: options.maxTime || null,
+    timezone
+  };
+
+  const olderDone = pagination.direction === 'older' && pagination.exhausted;
+
+  return {
+    older: pagination.oldestId && !olderDone
+      ? encodeCursor({ ...base, direction: 'older', boundaryId: pagination.oldestId })
+      : null,
+    newer: pagination.newestId
+      ? encodeCursor({ ...base, direction: 'newer', boundaryId: pagination.newestId })
+      : null
+  };
+}
+
+/**
+ * Encode cursor state as an opaque string
+ */
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ */
+function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    state = null;
+  }
+
+  if (!state || state.v !== CURSOR_VERSION || !state.query || !state.boundaryId ||
+      !['older', 'newer'].includes(state.direction) || !state.sources) {
+    throw ErrorHandler.createError(
+      ERROR_CODES.INVALID_ARGUMENTS,
+      'Invalid cursor. Pass a cursor exactly as returned by a previous search_logs call.'
+    );
+  }
+
+  return state;
+}
+
 /**
  * Format search results for presentation
  */
-function formatSearchResults(result, query, debugInfo = null) {
+function formatSearchResults(result, query, view) {
   const { events, total, timeRange, metadata } = result;
   
-  let output = `🔍 Papertrail Log Search Results [DEBUG_ENABLED_v2]\n`;
+  let output = `🔍 Papertrail Log Search Results\n`;
   output += `Query: "${query}"\n`;
+  view.queryWarnings.forEach(warning => {
+    output += `⚠️ ${warning}\n`;
+  });
   output += `Found: ${total} events\n`;
-  output += `Time Range: ${formatTimeRange(timeRange)}\n`;
-  output += `Search Time: ${new Date(metadata.searchTime).toLocaleString()}\n\n`;
-  
-  // Always add request/response details
-  output += `🔧 Request/Response Details:\n`;
-  output += `• Query: "${query}"\n`;
-  output += `• Timestamp: ${new Date().toISOString()}\n`;
-  
-  if (debugInfo) {
-    output += `• API URL: ${debugInfo.response.apiUrl}\n`;
-    output += `• HTTP Status: ${debugInfo.response.apiStatus}\n`;
-    output += `• Response Time: ${debugInfo.response.apiResponseTime}ms\n`;
-    output += `• Request Options: ${JSON.stringify(debugInfo.request.options)}\n`;
-    output += `• Events Found: ${debugInfo.response.total} (returned: ${debugInfo.response.eventsReturned})\n`;
-    
-    // Add response JSON if available (truncated for readability)
-    if (debugInfo.response.responseBody) {
-      const responseBody = debugInfo.response.responseBody;
-      const truncatedResponse = {
-        events: responseBody.events ? `${responseBody.events.length} events` : 'no events',
-        ...(responseBody.events && responseBody.events.length > 0 && {
-          firstEvent: {
-            id: responseBody.events[0].id,
-            received_at: responseBody.events[0].received_at,
-            hostname: responseBody.events[0].hostname,
-            program: responseBody.events[0].program,
-            message: responseBody.events[0].message?.substring(0, 100) + '...'
-          }
-        }),
-        ...(responseBody.total_hits !== undefined && { total_hits: responseBody.total_hits }),
-        ...(responseBody.min_time !== undefined && { min_time: responseBody.min_time }),
-        ...(responseBody.max_time !== undefined && { max_time: responseBody.max_time })
-      };
-      output += `• Response JSON (summary): ${JSON.stringify(truncatedResponse, null, 2)}\n`;
-    }
+  if (result.pagination && result.pagination.pages > 1) {
+    output += `Pages fetched: ${result.pagination.pages}\n`;
+  }
+  output += `Time Range: ${formatTimeRange(timeRange, result.resolvedTimeRange)}\n`;
+  if (result.accounts) {
+    output += formatAccountResults(result.accounts);
   } else {
-    output += `• Debug info: Not available\n`;
+    output += formatAccount(result.account);
+    output += formatSources(result.sources);
   }
-
+  output += `Search Time: ${new Date(metadata.searchTime).toLocaleString()}\n`;
+  if (isFiltered(view)) {
+    output += formatFilterSummary(view, result);
+  }
+  if (result.stackTraces) {
+    const { assembled, skipped } = result.stackTraces;
+    output += `Stack traces reassembled: ${assembled}${skipped > 0 ? ` (${skipped} more trace lines left as single events)` : ''}\n`;
+  }
+  output += `${formatRedactions(result.redactions)}\n`;
+  
   if (events.length === 0) {
     output += '📭 No log events found matching the search criteria.\n\n';
     output += 'Suggestions:\n';
@@ -225,6 +694,10 @@ function formatSearchResults(result, query, debugInfo = null) {
     return output;
   }
 
+  if (result.clustering) {
+    return output + formatClusters(result.clustering, events.length);
+  }
+
   output += `📋 Log Events (showing ${events.length} of ${total}):\n\n`;
   
   events.forEach((event, index) => {
@@ -238,8 +711,15 @@ function formatSearchResults(result, query, debugInfo = null) {
     const timeStr = formatEventTime(parsedEvent.timestamp);
     const severity = getSeverityIndicator(event.severity);
     
-    output += `${index + 1}. ${severity} [${timeStr}] ${parsedEvent.hostname}:${parsedEvent.program}\n`;
-    output += `   ${parsedEvent.message}\n\n`;
+    const account = event.account ? `[${event.account}] ` : '';
+    const trace = event.stack_trace ? ` 🧵 stack trace, ${event.stack_trace.lineCount} lines${event.stack_trace.truncated ? ', truncated' : ''}` : '';
+    output += `${index + 1}. ${severity} ${account}[${timeStr}] ${parsedEvent.hostname}:${parsedEvent.program} (id: ${event.id})${trace}\n`;
+    output += `   ${parsedEvent.message.replace(/\n/g, '\n   ')}\n`;
+    if (view.fields) {
+      const fields = selectFields(extractFields(event.message)?.fields || null, view.fields);
+      output += `   ↳ ${formatFields(fields) || '(no matching fields)'}\n`;
+    }
+    output += '\n';
   });
 
   // Add summary statistics
@@ -253,18 +733,103 @@ function formatSearchResults(result, query, debugInfo = null) {
     output += `• ⚠️  Error-level events: ${stats.errorCount}\n`;
   }
 
-  // Debug section already added above
+  return output;
+}
 
+/**
+ * Format the where/regex filters and how many events were scanned for them
+ */
+function formatFilterSummary(view, result) {
+  const { scanned, scanLimitReached } = result.pagination || {};
+  let output = '';
+  if (view.filters.length > 0) {
+    output += `Where: ${view.filters.map(filter => filter.expression).join(' AND ')}\n`;
+  }
+  if (view.regex) {
+    output += `Regex: ${view.regex}\n`;
+  }
+  if (view.excludeRegex) {
+    output += `Excluding: ${view.excludeRegex}\n`;
+  }
+  if (view.minSeverity || view.severities) {
+    const parts = [
+      view.minSeverity && `${view.minSeverity} and above`,
+      view.severities && view.severities.join(', ')
+    ].filter(Boolean);
+    output += `Severity: ${parts.join(' AND ')}\n`;
+  }
+  if (view.facility) {
+    output += `Facility: ${view.facility}\n`;
+  }
+  if (view.program) {
+    output += `Program: ${view.program}\n`;
+  }
+  output += `Scanned: ${scanned ?? '?'} events\n`;
+  if (scanLimitReached) {
+    output += `⚠️ Scan budget used up after ${scanned} events; use the older cursor to keep scanning, raise maxScan/maxApiCalls or narrow the query\n`;
+  }
+  return output;
+}
+
+/**
+ * Format continuation cursors for display
+ */
+function formatCursors(cursors) {
+  if (!cursors.older && !cursors.newer) {
+    return '';
+  }
+
+  let output = `\n⏭️ More results (pass as cursor to search_logs):\n`;
+  output += `• Older: ${cursors.older || 'none (reached the beginning of the time range)'}\n`;
+  if (cursors.newer) {
+    output += `• Newer: ${cursors.newer}\n`;
+  }
+  return output;
+}
+
+/**
+ * Format the accounts of a merged search, with the sources searched in each
+ */
+function formatAccountResults(accounts) {
+  let output = `Accounts: ${accounts.map(account => `${account.name} (${account.total} events)`).join(', ')}\n`;
+  accounts.forEach(account => {
+    const sources = formatSources(account.sources).trim().replace(/\n/g, '; ');
+    if (sources) {
+      output += `• ${account.name}: ${sources}\n`;
+    }
+  });
+  return output;
+}
+
+/**
+ * Format resolved systems/groups for display
+ */
+function formatSources(sources) {
+  const describe = source => source.name ? `${source.name} (id: ${source.id})` : `id ${source.id}`;
+  let output = '';
+  if (sources.systems.length > 0) {
+    output += `Systems: ${sources.systems.map(describe).join(', ')}\n`;
+  }
+  if (sources.group) {
+    output += `Group: ${describe(sources.group)}\n`;
+  }
   return output;
 }
 
 /**
- * Format time range for display
+ * Format time range for display, with the expressions it was resolved from
  */
-function formatTimeRange(timeRange) {
+function formatTimeRange(timeRange, resolved) {
   const minTime = new Date(timeRange.minTime * 1000);
   const maxTime = new Date(timeRange.maxTime * 1000);
-  return `${minTime.toLocaleString()} - ${maxTime.toLocaleString()}`;
+  let output = `${minTime.toISOString()} - ${maxTime.toISOString()}`;
+
+  if (resolved) {
+    const { input, timezone } = resolved;
+    output += ` (from: ${input.minTime ?? 'default window'}, to: ${input.maxTime ?? 'now'}, timezone: ${timezone})`;
+  }
+
+  return output;
 }
 
 /**
@@ -288,7 +853,7 @@ function getSeverityIndicator(severity) {
     6: 'ℹ️',  // Info
     7: '🔍'  // Debug
   };
-  return severityMap[severity] || '📄';
+  return severityMap[severityLevel(severity)] || '📄';
 }
 
 /**
@@ -304,7 +869,7 @@ function generateEventStats(events) {
   events.forEach(event => {
     if (event.hostname) hosts.add(event.hostname);
     if (event.program) programs.add(event.program);
-    if (event.severity <= 3) errorCount++; // Emergency, Alert, Critical, Error
+    if (isErrorSeverity(event.severity)) errorCount++; // Emergency, Alert, Critical, Error
     
     const eventTime = new Date(event.received_at);
     if (!minTime || eventTime < minTime) minTime = eventTime;
@@ -0,0 +1,322 @@
+/**
+ * Tail logs MCP tool implementation
+ *
+ * Polls Papertrail for events newer than the last one seen and streams them to
+ * the client as MCP notifications while the tool call is running.
+ */
+
+import PapertrailClient from '../papertrailClient.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { SourceResolver, resolveSources, SOURCE_SCHEMA_PROPERTIES } from '../sourceResolver.js';
+import { logger } from '../logger.js';
+import { globalRedactor, emptyRedactions, mergeRedactions, formatRedactions } from '../redactor.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+
+const DEFAULTS = {
+  durationSeconds: 60,
+  maxEvents: 100,
+  pollIntervalSeconds: 5
+};
+
+// Longest watch a single call may request
+const MAX_TAIL_DURATION_SECONDS = 600;
+
+const log = logger.child({ component: 'tail_logs' });
+
+/**
+ * MCP tool definition for tailing Papertrail logs
+ */
+const tailLogsTool = {
+  name: 'tail_logs',
+  description: 'Watch a Papertrail query live: polls for new matching events and streams them as notifications until the duration or event count is reached, or the call is cancelled. Returns all events seen.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Search query to watch (same syntax as search_logs). Use "*" to watch everything.'
+      },
+      durationSeconds: {
+        type: 'integer',
+        description: `How long to watch, in seconds (default: ${DEFAULTS.durationSeconds}, max: ${MAX_TAIL_DURATION_SECONDS})`,
+        minimum: 1,
+        maximum: MAX_TAIL_DURATION_SECONDS
+      },
+      maxEvents: {
+        type: 'integer',
+        description: `Stop after this many new events (default: ${DEFAULTS.maxEvents}, max: 1000)`,
+        minimum: 1,
+        maximum: 1000
+      },
+      pollIntervalSeconds: {
+        type: 'integer',
+        description: `Seconds between polls (default: ${DEFAULTS.pollIntervalSeconds}, min: 2)`,
+        minimum: 2,
+        maximum: 60
+      },
+      ...SOURCE_SCHEMA_PROPERTIES,
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    },
+    required: ['query']
+  }
+};
+
+/**
+ * Execute tail logs tool
+ * @param {Object} args - Tool arguments
+ * @param {string} clientId - Rate limit bucket
+ * @param {Object} extra - MCP request context (signal, sendNotification, _meta)
+ */
+async function executeTailLogs(args, clientId = 'default', extra = {}) {
+  try {
+    if (!args.query || args.query.trim() === '') {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Query parameter is required and cannot be empty. Use "*" to watch all events.',
+        { providedArgs: args, requiredFields: ['query'] }
+      );
+    }
+
+    ErrorHandler.validateArgs(args, tailLogsTool.inputSchema);
+
+    const account = getAccount(args.account);
+
+    // Every poll must reach Papertrail, so the response cache is bypassed;
+    // source lookups still go through it
+    const client = new PapertrailClient({ account, signal: extra.signal, cache: null, clientId });
+    const lookupClient = new PapertrailClient({ account, signal: extra.signal, clientId });
+    const sources = await resolveSources(args, account, new SourceResolver({ client: lookupClient }));
+
+    const durationMs = (args.durationSeconds || DEFAULTS.durationSeconds) * 1000;
+    const maxEvents = args.maxEvents || DEFAULTS.maxEvents;
+    const pollIntervalMs = (args.pollIntervalSeconds || DEFAULTS.pollIntervalSeconds) * 1000;
+
+    const startedAt = Date.now();
+    const deadline = startedAt + durationMs;
+    const notifier = createNotifier(extra, maxEvents);
+
+    const baseOptions = {
+      minTime: client.formatTime(new Date(startedAt)),
+      ...(sources.systems.length > 0 && { system_ids: sources.systems.map(system => system.id) }),
+      ...(sources.group && { group_id: sources.group.id })
+    };
+
+    log.info('Tailing Papertrail logs', { query: args.query, durationMs, maxEvents, pollIntervalMs });
+
+    const events = [];
+    let redactions = emptyRedactions();
+    let lastId = null;
+    let polls = 0;
+    let stopReason = 'duration';
+
+    while (true) {
+      if (extra.signal?.aborted) {
+        stopReason = abortReason(extra.signal);
+        break;
+      }
+
+      const result = await client.searchLogsPaged(args.query, {
+        ...baseOptions,
+        maxTime: client.formatTime(new Date()),
+        direction: 'newer',
+        total: maxEvents - events.length,
+        ...(lastId && { min_id: lastId })
+      });
+
+      if (!result.success) {
+        // A cancel that lands mid-request ends the tail like one between polls
+        if (extra.signal?.aborted) {
+          stopReason = abortReason(extra.signal);
+          break;
+        }
+        // Once events have been watched, running out of budget ends the tail rather than failing it
+        if (result.code === ERROR_CODES.RATE_LIMIT_EXCEEDED && polls > 0) {
+          stopReason = 'rateLimit';
+          break;
+        }
+        throw ErrorHandler.createApiError(result, 'events/search.json');
+      }
+      polls++;
+
+      if (result.events.length > 0) {
+        // Redact before streaming: notifications leave the server immediately
+        const redaction = globalRedactor.redactEvents(result.events);
+        redactions = mergeRedactions(redactions, redaction.redactions);
+        events.push(...redaction.events);
+        lastId = result.pagination.newestId;
+        await notifier.emit(redaction.events, events.length);
+      }
+
+      if (events.length >= maxEvents) {
+        stopReason = 'maxEvents';
+        break;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        stopReason = 'duration';
+        break;
+      }
+
+      const completed = await sleep(Math.min(pollIntervalMs, remaining), extra.signal);
+      if (!completed) {
+        stopReason = abortReason(extra.signal);
+        break;
+      }
+
+      if (Date.now() >= deadline) {
+        stopReason = 'duration';
+        break;
+      }
+    }
+
+    log.info('Tail finished', { stopReason, events: events.length, polls });
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatTailResults(args.query, events, {
+          stopReason,
+          polls,
+          elapsedMs: Date.now() - startedAt,
+          redactions,
+          account
+        })
+      }],
+      redactions
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'tail_logs',
+      query: args.query,
+      clientId
+    });
+  }
+}
+
+/**
+ * Why an aborted tail stopped: the tool call deadline or a client cancel
+ */
+function abortReason(signal) {
+  return signal?.reason?.name === 'TimeoutError' ? 'timeout' : 'cancelled';
+}
+
+/**
+ * Sleep that ends early when the signal aborts
+ * @returns {Promise<boolean>} true if the full time elapsed, false if aborted
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve(false);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a notifier that streams new events to the client.
+ * Sends progress notifications when the client asked for them (progressToken)
+ * and logging notifications otherwise.
+ */
+function createNotifier(extra, maxEvents) {
+  const progressToken = extra._meta?.progressToken;
+
+  return {
+    async emit(newEvents, totalSoFar) {
+      if (!extra.sendNotification) return;
+
+      const lines = newEvents.map(formatTailLine).join('\n');
+
+      try {
+        if (progressToken !== undefined) {
+          await extra.sendNotification({
+            method: 'notifications/progress',
+            params: {
+              progressToken,
+              progress: totalSoFar,
+              total: maxEvents,
+              message: lines
+            }
+          });
+        } else {
+          await extra.sendNotification({
+            method: 'notifications/message',
+            params: {
+              level: 'info',
+              logger: 'tail_logs',
+              data: {
+                newEvents: newEvents.length,
+                totalEvents: totalSoFar,
+                lines
+              }
+            }
+          });
+        }
+      } catch (error) {
+        log.warn('Failed to send tail notification', { reason: error.message });
+      }
+    }
+  };
+}
+
+/**
+ * Format a single event as one line
+ */
+function formatTailLine(event) {
+  const time = new Date(event.received_at).toISOString();
+  return `[${time}] ${event.hostname || 'unknown'}:${event.program || 'unknown'} ${event.message || ''}`;
+}
+
+/**
+ * Format tail results for presentation
+ */
+function formatTailResults(query, events, { stopReason, polls, elapsedMs, redactions, account }) {
+  const reasons = {
+    duration: 'duration elapsed',
+    maxEvents: 'event limit reached',
+    cancelled: 'cancelled by client',
+    timeout: 'tool call deadline reached',
+    rateLimit: 'rate limit reached'
+  };
+
+  let output = `📡 Papertrail Live Tail\n`;
+  output += `Query: "${query}"\n`;
+  output += formatAccount(account);
+  output += `Watched: ${Math.round(elapsedMs / 1000)}s (${polls} polls)\n`;
+  output += `Stopped: ${reasons[stopReason]}\n`;
+  output += `New events: ${events.length}\n`;
+  output += `${formatRedactions(redactions)}\n`;
+
+  if (events.length === 0) {
+    output += '📭 No new events arrived while watching.\n';
+    return output;
+  }
+
+  events.forEach(event => {
+    output += `${formatTailLine(event)}\n`;
+  });
+
+  return output;
+}
+
+export {
+  tailLogsTool,
+  executeTailLogs,
+  DEFAULTS as TAIL_DEFAULTS,
+  MAX_TAIL_DURATION_SECONDS
+};
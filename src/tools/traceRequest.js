@@ -0,0 +1,421 @@
+/**
+ * Trace request MCP tool implementation
+ *
+ * Follows a request or trace ID across every system: searches for the ID,
+ * picks up further correlated IDs from the matched lines, searches those too
+ * up to a bounded depth, and returns one timeline ordered by time with the
+ * gaps between consecutive lines and between services.
+ */
+
+import PapertrailClient, { MAX_PAGE_SIZE, compareEventIds } from '../papertrailClient.js';
+import { config, parseCorrelationPatterns } from '../config.js';
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import { resolveTimeRange, parseDuration, TIME_SCHEMA_PROPERTIES } from '../timeParser.js';
+import { getAccount, formatAccount, ACCOUNT_SCHEMA_PROPERTIES } from '../accounts.js';
+import { globalRedactor, formatRedactions } from '../redactor.js';
+import { findEvent } from './getEventContext.js';
+import { logger } from '../logger.js';
+
+const DEFAULT_MAX_DEPTH = 2;
+const MAX_DEPTH = 5;
+const DEFAULT_MAX_IDS = 10;
+const MAX_IDS = 25;
+const DEFAULT_MAX_EVENTS = 500;
+const MAX_EVENTS = 5 * MAX_PAGE_SIZE;
+
+// Searched around a seed event when no time range is given
+const SEED_WINDOW = '1h';
+
+// Gaps listed in the summary
+const MAX_LISTED_GAPS = 5;
+
+/**
+ * Built-in ID patterns: request_id=..., "traceId": "...", X-Request-Id: ...
+ */
+const DEFAULT_ID_PATTERNS = [
+  /\b(?:request|req|trace|correlation|transaction)[_-]?id["']?\s*[:=]\s*["']?([A-Za-z0-9][\w.:/-]{5,127})/gi,
+  /\bx-(?:request|correlation|amzn-trace)-id["']?\s*[:=]\s*["']?([A-Za-z0-9][\w.:/=;-]{5,127})/gi
+];
+
+const log = logger.child({ component: 'trace_request' });
+
+/**
+ * MCP tool definition for following a request across systems
+ */
+const traceRequestTool = {
+  name: 'trace_request',
+  description: 'Follow a request or trace ID across all systems into one timeline. Searches for the ID (or the IDs found in a seed event), picks up further correlated IDs (request_id, trace_id, correlation_id, ...) from the matched lines and follows them up to maxDepth, then returns every line ordered by time with host/program and the gap since the previous line and previous service.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        description: 'Request, trace or correlation ID to follow (give this or eventId)'
+      },
+      eventId: {
+        type: 'string',
+        description: `Seed event ID (from search_logs) whose IDs are followed; without minTime/maxTime, ${SEED_WINDOW} either side of it is searched`
+      },
+      ...TIME_SCHEMA_PROPERTIES,
+      maxDepth: {
+        type: 'integer',
+        description: `Rounds of following newly found IDs (default: ${DEFAULT_MAX_DEPTH}, max: ${MAX_DEPTH}; 0 searches only the given IDs)`,
+        minimum: 0,
+        maximum: MAX_DEPTH
+      },
+      maxIds: {
+        type: 'integer',
+        description: `Most IDs searched in total (default: ${DEFAULT_MAX_IDS}, max: ${MAX_IDS}), one search each`,
+        minimum: 1,
+        maximum: MAX_IDS
+      },
+      maxEvents: {
+        type: 'integer',
+        description: `Most events in the timeline (default: ${DEFAULT_MAX_EVENTS}, max: ${MAX_EVENTS})`,
+        minimum: 1,
+        maximum: MAX_EVENTS
+      },
+      idPatterns: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Regexes finding correlated IDs in messages, the first capture group being the ID, e.g. ["order=(ORD-\\\\d+)"]. Replaces the configured patterns (CORRELATION_ID_PATTERNS, or request_id/trace_id/correlation_id fields by default).'
+      },
+      ...ACCOUNT_SCHEMA_PROPERTIES
+    }
+  }
+};
+
+/**
+ * Execute trace request tool with rate limiting and error handling
+ */
+async function executeTraceRequest(args, clientId = 'default', extra = {}) {
+  try {
+    const account = getAccount(args.account);
+
+    // Accept numeric IDs too, since they are easy to produce by mistake
+    if (typeof args.eventId === 'number') {
+      args = { ...args, eventId: String(args.eventId) };
+    }
+
+    ErrorHandler.validateArgs(args, traceRequestTool.inputSchema);
+
+    if (Boolean(args.id?.trim()) === Boolean(args.eventId)) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Provide either id (a request or trace ID) or eventId (a seed event), not both'
+      );
+    }
+
+    if (args.eventId && !/^\d+$/.test(args.eventId)) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'eventId must be a numeric Papertrail event ID (as returned in search_logs results)'
+      );
+    }
+
+    const patterns = resolveIdPatterns(args.idPatterns);
+    const client = new PapertrailClient({ account, signal: extra.signal, clientId });
+
+    let seed = null;
+    let seedIds;
+    if (args.eventId) {
+      seed = await findEvent(client, args.eventId);
+      seedIds = extractIds(seed.message, patterns);
+      if (seedIds.length === 0) {
+        throw ErrorHandler.createError(
+          ERROR_CODES.INVALID_ARGUMENTS,
+          `No request or trace IDs found in event ${seed.id}. Pass the ID to follow as id, or idPatterns that match it.`
+        );
+      }
+    } else {
+      seedIds = [args.id.trim()];
+    }
+
+    const timeRange = resolveTraceTimeRange(args, seed);
+
+    log.info('Tracing request', { ids: seedIds, maxDepth: args.maxDepth ?? DEFAULT_MAX_DEPTH });
+
+    const trace = await followIds(client, seedIds, patterns, {
+      timeRange,
+      maxDepth: args.maxDepth ?? DEFAULT_MAX_DEPTH,
+      maxIds: args.maxIds || DEFAULT_MAX_IDS,
+      maxEvents: args.maxEvents || DEFAULT_MAX_EVENTS,
+      seed
+    });
+
+    // Redact the lines and the IDs shown with them
+    const { events, redactions } = globalRedactor.redactEvents(trace.events);
+    const ids = trace.ids.map(entry => ({ ...entry, id: globalRedactor.redact(entry.id).text }));
+    const timeline = buildTimeline(events, ids);
+
+    const summary = {
+      account: account.name,
+      timeRange: {
+        minTime: timeRange.minTime.toISOString(),
+        maxTime: timeRange.maxTime.toISOString(),
+        timezone: timeRange.timezone,
+        input: timeRange.input
+      },
+      ...(seed && { seedEventId: seed.id }),
+      ids,
+      unfollowedIds: trace.unfollowed.length,
+      partial: trace.partial,
+      redactions,
+      ...timeline
+    };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatTrace(summary, account)
+      }],
+      structuredContent: summary
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'trace_request',
+      id: args.id,
+      eventId: args.eventId,
+      clientId
+    });
+  }
+}
+
+/**
+ * Regexes used to find IDs: the call's own, else the configured ones, else the built-in ones
+ */
+function resolveIdPatterns(idPatterns) {
+  if (idPatterns?.length) {
+    try {
+      return parseCorrelationPatterns(JSON.stringify(idPatterns));
+    } catch (error) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        `Invalid idPatterns: ${error.message}`
+      );
+    }
+  }
+
+  const configured = parseCorrelationPatterns(config.correlation.idPatterns);
+  return configured.length > 0 ? configured : DEFAULT_ID_PATTERNS;
+}
+
+/**
+ * Find the IDs in a message (first capture group of each match)
+ * @returns {Array<string>} Distinct IDs in order of appearance
+ */
+function extractIds(message, patterns) {
+  const ids = new Set();
+  for (const pattern of patterns) {
+    for (const match of String(message || '').matchAll(pattern)) {
+      const id = (match[1] ?? match[0]).trim();
+      // IDs are searched as quoted phrases
+      if (id && !id.includes('"')) {
+        ids.add(id);
+      }
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * The time range to search: the given one, or a window around the seed event
+ */
+function resolveTraceTimeRange(args, seed) {
+  if (!seed || args.minTime || args.maxTime) {
+    return resolveTimeRange(args);
+  }
+
+  const at = Date.parse(seed.received_at);
+  const window = parseDuration(SEED_WINDOW);
+  return resolveTimeRange({
+    minTime: new Date(at - window).toISOString(),
+    maxTime: new Date(at + window).toISOString(),
+    timezone: args.timezone
+  });
+}
+
+/**
+ * Search each ID, collecting new IDs from the matched lines, breadth first
+ * @returns {Promise<Object>} { events (oldest first), ids: [{ id, depth, foundIn }], unfollowed, partial }
+ */
+async function followIds(client, seedIds, patterns, { timeRange, maxDepth, maxIds, maxEvents, seed }) {
+  const events = new Map(); // event ID -> event
+  const known = new Map(seedIds.map(id => [id, { id, depth: 0, foundIn: seed?.id || null }]));
+  const followed = [];
+  let frontier = [...seedIds];
+  let partial = false;
+
+  if (seed) {
+    events.set(seed.id, seed);
+  }
+
+  for (let depth = 0; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next = [];
+
+    for (const id of frontier) {
+      if (followed.length >= maxIds || events.size >= maxEvents) {
+        partial = true;
+        break;
+      }
+      followed.push(known.get(id));
+
+      const result = await client.searchLogsPaged(`"${id}"`, {
+        total: maxEvents - events.size,
+        minTime: client.formatTime(timeRange.minTime),
+        maxTime: client.formatTime(timeRange.maxTime)
+      });
+      if (!result.success) {
+        throw ErrorHandler.createApiError(result, 'events/search.json');
+      }
+      if (!result.pagination.exhausted) {
+        partial = true;
+      }
+
+      for (const event of result.events) {
+        if (events.has(event.id)) continue;
+        events.set(event.id, event);
+
+        for (const found of extractIds(event.message, patterns)) {
+          if (!known.has(found)) {
+            known.set(found, { id: found, depth: depth + 1, foundIn: event.id });
+            next.push(found);
+          }
+        }
+      }
+    }
+
+    frontier = next;
+  }
+
+  const followedIds = new Set(followed.map(entry => entry.id));
+  const ordered = [...events.values()].sort((a, b) =>
+    Date.parse(a.received_at) - Date.parse(b.received_at) || compareEventIds(a.id, b.id)
+  );
+
+  return {
+    events: ordered.slice(0, maxEvents),
+    ids: followed,
+    unfollowed: [...known.keys()].filter(id => !followedIds.has(id)),
+    partial: partial || ordered.length > maxEvents
+  };
+}
+
+/**
+ * Service an event came from
+ */
+function serviceOf(event) {
+  return `${event.hostname || 'unknown'}:${event.program || 'unknown'}`;
+}
+
+/**
+ * Order events into a timeline with gaps, hops between services and per-service spans
+ * @param {Array} events - Raw events, oldest first
+ * @param {Array} ids - Followed IDs ({ id })
+ */
+function buildTimeline(events, ids) {
+  const timeline = [];
+  const hops = [];
+  const services = new Map(); // service -> { service, events, firstSeen, lastSeen }
+
+  events.forEach((event, index) => {
+    const previous = events[index - 1];
+    const service = serviceOf(event);
+    const gapMs = previous ? Date.parse(event.received_at) - Date.parse(previous.received_at) : 0;
+    const hop = Boolean(previous) && serviceOf(previous) !== service;
+
+    if (hop) {
+      hops.push({ from: serviceOf(previous), to: service, gapMs, fromEventId: previous.id, toEventId: event.id });
+    }
+
+    const entry = services.get(service) || { service, events: 0, firstSeen: event.received_at, lastSeen: event.received_at };
+    entry.events++;
+    entry.lastSeen = event.received_at;
+    services.set(service, entry);
+
+    timeline.push({
+      id: event.id,
+      timestamp: event.received_at,
+      hostname: event.hostname,
+      program: event.program,
+      severity: event.severity,
+      message: event.message,
+      gapMs,
+      hop,
+      ids: ids.map(entry => entry.id).filter(id => (event.message || '').includes(id))
+    });
+  });
+
+  const durationMs = events.length > 1
+    ? Date.parse(events[events.length - 1].received_at) - Date.parse(events[0].received_at)
+    : 0;
+
+  return {
+    total: timeline.length,
+    durationMs,
+    services: [...services.values()],
+    hops,
+    timeline
+  };
+}
+
+/**
+ * Format a duration in ms for the timeline gutter
+ */
+function formatGap(ms) {
+  return ms < 1000 ? `+${ms}ms` : `+${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)}s`;
+}
+
+/**
+ * Format a request trace for presentation
+ */
+function formatTrace(summary, account) {
+  let output = `🔗 Request Trace\n`;
+  output += formatAccount(account);
+  output += `Time Range: ${summary.timeRange.minTime} - ${summary.timeRange.maxTime}\n`;
+  output += `IDs followed: ${summary.ids.map(entry => entry.depth === 0 ? entry.id : `${entry.id} (depth ${entry.depth}, from event ${entry.foundIn})`).join(', ')}\n`;
+  if (summary.unfollowedIds > 0) {
+    output += `⚠️ ${summary.unfollowedIds} more IDs found but not followed (raise maxIds or maxDepth)\n`;
+  }
+  if (summary.partial) {
+    output += '⚠️ Partial: the event or ID limit was reached\n';
+  }
+  output += `${formatRedactions(summary.redactions)}\n`;
+
+  if (summary.total === 0) {
+    output += '📭 No log events found for these IDs in the time range.\n';
+    return output;
+  }
+
+  output += `📋 Timeline: ${summary.total} events across ${summary.services.length} services over ${formatGap(summary.durationMs).slice(1)}\n\n`;
+
+  const width = Math.max(...summary.timeline.map(entry => formatGap(entry.gapMs).length));
+  summary.timeline.forEach(entry => {
+    const marker = entry.hop ? '↪' : ' ';
+    output += `${formatGap(entry.gapMs).padStart(width)} ${marker} [${entry.timestamp}] ${entry.hostname || 'unknown'}:${entry.program || 'unknown'} (id: ${entry.id})\n`;
+    output += `${' '.repeat(width + 3)}${entry.message || ''}\n`;
+  });
+
+  output += `\n🖥️ Services:\n`;
+  summary.services.forEach(service => {
+    output += `• ${service.service}: ${service.events} events, ${service.firstSeen} → ${service.lastSeen}\n`;
+  });
+
+  if (summary.hops.length > 0) {
+    const slowest = [...summary.hops].sort((a, b) => b.gapMs - a.gapMs).slice(0, MAX_LISTED_GAPS);
+    output += `\n⏱️ Slowest hops:\n`;
+    slowest.forEach(hop => {
+      output += `• ${hop.from} → ${hop.to}: ${formatGap(hop.gapMs)} (events ${hop.fromEventId} → ${hop.toEventId})\n`;
+    });
+  }
+
+  return output;
+}
+
+export {
+  traceRequestTool,
+  executeTraceRequest,
+  extractIds
+};
@@ -0,0 +1,113 @@
+/**
+ * Validate query MCP tool implementation
+ */
+
+import { ErrorHandler, ERROR_CODES } from '../middleware/errorHandler.js';
+import {
+  QUERY_BUILDER_SCHEMA_PROPERTIES,
+  hasQueryParts,
+  buildQuery,
+  validateQuery
+} from '../queryBuilder.js';
+
+/**
+ * MCP tool definition for checking a query before searching
+ */
+const validateQueryTool = {
+  name: 'validate_query',
+  description: 'Check a Papertrail search query without searching: reports syntax errors (unterminated quotes, unbalanced parentheses) with their position, warns about dangling OR/AND/-, empty parentheses, wildcards, regexes and attributes Papertrail does not support, and returns the normalized query. Also compiles allTerms/anyTerms/excludeTerms/phrases/hosts/programs into query syntax, exactly as search_logs would.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'Raw Papertrail query to check, e.g. "(timeout OR refused) -healthcheck program:nginx"'
+      },
+      ...QUERY_BUILDER_SCHEMA_PROPERTIES
+    }
+  }
+};
+
+/**
+ * Execute validate query tool. Makes no API calls, so it is not rate limited.
+ */
+async function executeValidateQuery(args = {}, clientId = 'default') {
+  try {
+    ErrorHandler.validateArgs(args, validateQueryTool.inputSchema);
+
+    if (!args.query?.trim() && !hasQueryParts(args)) {
+      throw ErrorHandler.createError(
+        ERROR_CODES.INVALID_ARGUMENTS,
+        'Provide a query to check, or allTerms/anyTerms/excludeTerms/phrases/hosts/programs to compile into one'
+      );
+    }
+
+    const compiled = hasQueryParts(args);
+    const validation = validateQuery(compiled ? buildQuery(args) : args.query);
+    const result = { ...validation, compiled };
+
+    return {
+      success: true,
+      content: [{
+        type: 'text',
+        text: formatValidation(result)
+      }],
+      structuredContent: result
+    };
+
+  } catch (error) {
+    return ErrorHandler.formatMcpError(error, {
+      tool: 'validate_query',
+      query: args.query,
+      clientId
+    });
+  }
+}
+
+/**
+ * Format a query check for presentation
+ */
+function formatValidation(result) {
+  let output = `🧪 Papertrail Query Check\n`;
+  output += `${result.compiled ? 'Compiled query' : 'Query'}: ${result.query}\n`;
+  output += result.valid ? '✅ Valid\n' : `❌ Invalid: ${result.errors.length} error${result.errors.length === 1 ? '' : 's'}\n`;
+  if (result.valid && result.normalized !== result.query) {
+    output += `Normalized: ${result.normalized}\n`;
+  }
+
+  if (result.errors.length > 0) {
+    output += `\n🚫 Errors:\n`;
+    result.errors.forEach(error => {
+      output += `• ${error.message}\n`;
+    });
+  }
+
+  if (result.warnings.length > 0) {
+    output += `\n⚠️ Warnings:\n`;
+    result.warnings.forEach(warning => {
+      output += `• ${warning}\n`;
+    });
+  }
+
+  if (result.valid) {
+    const { included, excluded, hosts, programs } = result.terms;
+    output += `\n🔎 Searches for:\n`;
+    output += `• Terms: ${included.map(term => `"${term}"`).join(', ') || 'none'}\n`;
+    if (excluded.length > 0) {
+      output += `• Excluding: ${excluded.map(term => `"${term}"`).join(', ')}\n`;
+    }
+    if (hosts.length > 0) {
+      output += `• Hosts: ${hosts.join(', ')}\n`;
+    }
+    if (programs.length > 0) {
+      output += `• Programs: ${programs.join(', ')}\n`;
+    }
+  }
+
+  return output;
+}
+
+export {
+  validateQueryTool,
+  executeValidateQuery
+};
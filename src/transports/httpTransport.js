@@ -0,0 +1,350 @@
+/**
+ * HTTP transport for the MCP server
+ *
+ * Serves the Streamable HTTP transport on /mcp and the legacy SSE transport
+ * on /sse + /messages. Every client session gets its own MCP Server instance.
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { config } from '../config.js';
+import { logger } from '../logger.js';
+import { globalResponseCache } from '../responseCache.js';
+
+const ENDPOINTS = {
+  STREAMABLE: '/mcp',
+  SSE: '/sse',
+  SSE_MESSAGES: '/messages',
+  HEALTH: '/health'
+};
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024; // 4 MB
+
+// How often idle sessions are looked for (at most)
+const IDLE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const LOOPBACK_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+const log = logger.child({ component: 'http' });
+
+/**
+ * Error for a request body the client got wrong, answered with its own HTTP status
+ */
+function bodyError(message, status, rpcCode) {
+  const error = new Error(message);
+  error.status = status;
+  error.rpcCode = rpcCode;
+  return error;
+}
+
+/**
+ * Read and parse a JSON request body
+ * Rejects with a bodyError (status 413 or 400) for oversized or malformed bodies.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Keep draining so the 413 response reaches the client
+        tooLarge = true;
+        chunks.length = 0;
+        reject(bodyError(`Request body too large (limit ${MAX_BODY_BYTES} bytes)`, 413, -32600));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(bodyError(`Parse error: ${error.message}`, 400, -32700));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON-RPC error response
+ */
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  }));
+}
+
+/**
+ * Whether the server is bound to the loopback interface only
+ */
+function isLoopbackBinding(host) {
+  return LOOPBACK_HOSTNAMES.has(host) || host === '::1';
+}
+
+/**
+ * Whether a request names this server by a loopback address. A web page can
+ * point its own hostname at 127.0.0.1 (DNS rebinding) but cannot change the
+ * Host header, and a cross-site page always sends its Origin.
+ */
+function isLocalRequest(req) {
+  try {
+    if (!LOOPBACK_HOSTNAMES.has(new URL(`http://${req.headers.host}`).hostname)) return false;
+    const origin = req.headers.origin;
+    return !origin || LOOPBACK_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Start the HTTP server hosting MCP sessions
+ * @param {Function} createSessionServer - Factory returning a configured MCP Server per session
+ * @param {Object} options - { port, host, sessionIdleTimeout (ms) }
+ * @returns {Promise<Object>} { httpServer, sessions, close }
+ */
+async function startHttpServer(createSessionServer, options = {}) {
+  const port = options.port ?? config.server.port;
+  const host = options.host ?? config.server.host;
+  const idleTimeout = options.sessionIdleTimeout ?? config.server.sessionIdleTimeout;
+  // On loopback, only local names are accepted; other bindings need their own auth in front
+  const localOnly = isLoopbackBinding(host);
+
+  // sessionId -> { transport, server, type, active: open requests, lastActivity }
+  const sessions = new Map();
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) return;
+    sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      log.warn('Error closing session', { sessionId, reason: error.message });
+    }
+  }
+
+  /**
+   * Count a request against its session until the response closes, so an open
+   * stream or a long tool call keeps the session alive
+   */
+  function trackActivity(session, res) {
+    session.active++;
+    session.lastActivity = Date.now();
+    res.on('close', () => {
+      session.active--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  /**
+   * Close Streamable HTTP sessions whose client went away without DELETE.
+   * SSE sessions end with their stream, so they need no sweeping.
+   */
+  function closeIdleSessions() {
+    const cutoff = Date.now() - idleTimeout;
+    for (const [sessionId, session] of sessions) {
+      if (session.type === 'streamable' && session.active === 0 && session.lastActivity < cutoff) {
+        log.info('Closing idle MCP session', { sessionId, idleMs: Date.now() - session.lastActivity });
+        closeSession(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Streamable HTTP: POST carries client messages, GET opens the
+   * server-to-client stream, DELETE terminates the session.
+   */
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (existing && existing.type !== 'streamable') {
+      sendJsonRpcError(res, 400, -32000, 'Session belongs to a different transport');
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+
+      if (existing) {
+        trackActivity(existing, res);
+        await existing.transport.handleRequest(req, res, body);
+        return;
+      }
+
+      if (sessionId) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+
+      if (!isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      const server = createSessionServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          sessions.set(id, { transport, server, type: 'streamable', active: 0, lastActivity: Date.now() });
+          log.info('MCP session opened', { sessionId: id, transport: 'streamable' });
+        }
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId && sessions.has(transport.sessionId)) {
+          sessions.delete(transport.sessionId);
+          log.info('MCP session closed', { sessionId: transport.sessionId, transport: 'streamable' });
+        }
+      };
+
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!existing) {
+        sendJsonRpcError(res, sessionId ? 404 : 400, -32000, 'Invalid or missing session ID');
+        return;
+      }
+      trackActivity(existing, res);
+      await existing.transport.handleRequest(req, res);
+      return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+  }
+
+  /**
+   * Legacy SSE: GET opens the event stream, POST /messages?sessionId=... delivers client messages.
+   */
+  async function handleSseConnect(req, res) {
+    const server = createSessionServer();
+    const transport = new SSEServerTransport(ENDPOINTS.SSE_MESSAGES, res);
+    sessions.set(transport.sessionId, { transport, server, type: 'sse' });
+    log.info('MCP session opened', { sessionId: transport.sessionId, transport: 'sse' });
+
+    res.on('close', () => {
+      log.info('MCP session closed', { sessionId: transport.sessionId, transport: 'sse' });
+      closeSession(transport.sessionId);
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const sessionId = url.searchParams.get('sessionId');
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (!session || session.type !== 'sse') {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    if (localOnly && !isLocalRequest(req)) {
+      log.warn('Rejected request for a non-local host', { host: req.headers.host, origin: req.headers.origin });
+      sendJsonRpcError(res, 403, -32000, 'Forbidden: Host or Origin is not local');
+      return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (url.pathname === ENDPOINTS.HEALTH && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          status: 'ok',
+          name: config.mcp.name,
+          version: config.mcp.version,
+          sessions: sessions.size,
+          cache: globalResponseCache.getStats()
+        }));
+        return;
+      }
+
+      if (url.pathname === ENDPOINTS.STREAMABLE) {
+        await handleStreamable(req, res);
+        return;
+      }
+
+      if (url.pathname === ENDPOINTS.SSE && req.method === 'GET') {
+        await handleSseConnect(req, res);
+        return;
+      }
+
+      if (url.pathname === ENDPOINTS.SSE_MESSAGES && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+        return;
+      }
+
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+    } catch (error) {
+      if (error.status) {
+        log.warn('Rejected HTTP request body', { method: req.method, path: url.pathname, reason: error.message });
+        sendJsonRpcError(res, error.status, error.rpcCode, error.message);
+        return;
+      }
+      log.error('Error handling HTTP request', { method: req.method, path: url.pathname, error });
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  if (!localOnly) {
+    log.warn('HTTP transport is reachable from the network without authentication', { host, port });
+  }
+
+  const idleSweep = setInterval(closeIdleSessions, Math.min(idleTimeout, IDLE_SWEEP_INTERVAL_MS));
+  idleSweep.unref();
+
+  async function close() {
+    clearInterval(idleSweep);
+    await Promise.all([...sessions.keys()].map(closeSession));
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+
+  return {
+    httpServer,
+    sessions,
+    close
+  };
+}
+
+export {
+  ENDPOINTS,
+  startHttpServer
+};
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateEvents } from '../src/tools/aggregateLogs.js';
+
+const event = (receivedAt, message, hostname = 'web-1') => ({ id: receivedAt, received_at: receivedAt, hostname, program: 'app', message });
+
+const range = (minTime, maxTime, timezone = 'UTC') => ({ minTime: new Date(minTime), maxTime: new Date(maxTime), timezone });
+
+const spec = (options) => ({ groupBy: [], fieldPattern: null, intervalMs: null, top: 20, ...options });
+
+test('counts events per group, largest first', () => {
+  const events = [
+    event('2026-10-19T03:00:00Z', 'a', 'web-1'),
+    event('2026-10-19T03:00:01Z', 'b', 'web-2'),
+    event('2026-10-19T03:00:02Z', 'c', 'web-2')
+  ];
+  const result = aggregateEvents(events, spec({ groupBy: ['host'], top: 1 }), range('2026-10-19T03:00:00Z', '2026-10-19T04:00:00Z'));
+
+  assert.equal(result.total, 3);
+  assert.deepEqual(result.groups, [{ key: { host: 'web-2' }, count: 2 }]);
+  assert.equal(result.otherGroups, 1);
+});
+
+test('groups parsed fields by their redacted values', () => {
+  const events = [
+    event('2026-10-19T03:00:00Z', 'login user=ann db_password=hunter2'),
+    event('2026-10-19T03:00:01Z', 'login user=bob db_password=swordfish')
+  ];
+  const result = aggregateEvents(events, spec({ groupBy: ['field:db_password'] }), range('2026-10-19T03:00:00Z', '2026-10-19T04:00:00Z'));
+
+  assert.deepEqual(result.groups, [{ key: { 'field:db_password': '[REDACTED:password]' }, count: 2 }]);
+  assert.deepEqual(result.redactions, { total: 2, byRule: { password: 2 } });
+});
+
+test('runs fieldPattern on the redacted message', () => {
+  const events = [event('2026-10-19T03:00:00Z', 'auth failed password=hunter2')];
+  const result = aggregateEvents(events, spec({ groupBy: ['field'], fieldPattern: /password=(\S+)/ }), range('2026-10-19T03:00:00Z', '2026-10-19T04:00:00Z'));
+
+  assert.deepEqual(result.groups[0].key, { field: '[REDACTED:password]' });
+});
+
+test('lists every histogram bucket, including empty ones', () => {
+  const events = [event('2026-10-19T03:05:00Z', 'a'), event('2026-10-19T03:25:00Z', 'b'), event('2026-10-19T03:29:59Z', 'c')];
+  const result = aggregateEvents(events, spec({ intervalMs: 10 * 60 * 1000 }), range('2026-10-19T03:00:00Z', '2026-10-19T03:30:00Z'));
+
+  assert.deepEqual(result.histogram, [
+    { start: '2026-10-19T03:00:00.000Z', count: 1 },
+    { start: '2026-10-19T03:10:00.000Z', count: 0 },
+    { start: '2026-10-19T03:20:00.000Z', count: 2 }
+  ]);
+});
+
+test('aligns histogram buckets to the timezone', () => {
+  const events = [event('2026-10-19T03:45:00Z', 'a')];
+  const result = aggregateEvents(events, spec({ intervalMs: 60 * 60 * 1000 }), range('2026-10-19T03:00:00Z', '2026-10-19T05:00:00Z', 'Asia/Kolkata'));
+
+  assert.deepEqual(result.histogram.map(bucket => [bucket.start, bucket.count]), [
+    ['2026-10-19T02:30:00.000Z', 0],
+    ['2026-10-19T03:30:00.000Z', 1],
+    ['2026-10-19T04:30:00.000Z', 0]
+  ]);
+});
+
+test('starts daily buckets at local midnight across a DST change', () => {
+  const events = [event('2026-10-25T22:30:00Z', 'late on the long day')];
+  const result = aggregateEvents(events, spec({ intervalMs: 24 * 60 * 60 * 1000 }), range('2026-10-24T00:00:00Z', '2026-10-27T00:00:00Z', 'Europe/Berlin'));
+
+  assert.deepEqual(result.histogram.map(bucket => [bucket.start, bucket.count]), [
+    ['2026-10-23T22:00:00.000Z', 0],
+    ['2026-10-24T22:00:00.000Z', 1],
+    ['2026-10-25T23:00:00.000Z', 0],
+    ['2026-10-26T23:00:00.000Z', 0]
+  ]);
+});
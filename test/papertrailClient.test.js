@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PapertrailClient from '../src/papertrailClient.js';
+
+/**
+ * Client whose searchLogs serves events with IDs 1..count (oldest first).
+ * Each call scans at most `scanPerCall` IDs below max_id before Papertrail's
+ * time limit, like a sparse query over a long range.
+ */
+function stubClient({ count, matches = () => true, scanPerCall = Infinity }) {
+  const client = new PapertrailClient({ apiToken: 'test-token', cache: null });
+  client.calls = [];
+  client.searchLogs = async (query, options) => {
+    client.calls.push(options);
+    const max = options.max_id ? Number(options.max_id) - 1 : count;
+    const min = options.min_id ? Number(options.min_id) + 1 : 1;
+    const floor = Math.max(max - scanPerCall + 1, min);
+    const events = [];
+    if (options.min_id) {
+      for (let id = min; id <= count && events.length < options.limit; id++) {
+        if (matches(id)) events.push({ id: String(id) });
+      }
+    } else {
+      for (let id = max; id >= floor && events.length < options.limit; id--) {
+        if (matches(id)) events.unshift({ id: String(id) });
+      }
+    }
+    const reachedTimeLimit = !options.min_id && floor > 1 && events.length < options.limit;
+    return {
+      success: true,
+      events,
+      minId: String(reachedTimeLimit ? floor : events[0]?.id ?? floor),
+      reachedBeginning: !options.min_id && floor === 1 && events.length < options.limit,
+      reachedTimeLimit,
+      metadata: {}
+    };
+  };
+  return client;
+}
+
+const ids = result => result.events.map(event => Number(event.id));
+
+test('searchLogsPaged collects the newest events across pages', async () => {
+  const client = stubClient({ count: 2500 });
+  const result = await client.searchLogsPaged('*', { total: 1500 });
+
+  assert.equal(result.events.length, 1500);
+  assert.equal(ids(result)[0], 1001);
+  assert.equal(ids(result).at(-1), 2500);
+  assert.equal(result.pagination.exhausted, false);
+  assert.equal(result.pagination.pages, 2);
+});
+
+test('searchLogsPaged stops at the beginning of the logs', async () => {
+  const client = stubClient({ count: 30 });
+  const result = await client.searchLogsPaged('*', { total: 100 });
+
+  assert.equal(result.events.length, 30);
+  assert.equal(result.pagination.exhausted, true);
+});
+
+test('searchLogsPaged keeps paging past reached_time_limit from the oldest scanned ID', async () => {
+  const client = stubClient({ count: 30, matches: id => id % 2 === 0, scanPerCall: 5 });
+  const result = await client.searchLogsPaged('*', { total: 100 });
+
+  assert.deepEqual(ids(result), Array.from({ length: 15 }, (_, index) => (index + 1) * 2));
+  assert.equal(result.pagination.exhausted, true);
+  assert.equal(client.calls[1].max_id, '26');
+});
+
+test('searchLogsPaged never returns the boundary event', async () => {
+  const client = stubClient({ count: 100 });
+  const older = await client.searchLogsPaged('*', { total: 10, max_id: '50' });
+  const newer = await client.searchLogsPaged('*', { total: 10, min_id: '50', direction: 'newer' });
+
+  assert.deepEqual(ids(older), [40, 41, 42, 43, 44, 45, 46, 47, 48, 49]);
+  assert.deepEqual(ids(newer), [51, 52, 53, 54, 55, 56, 57, 58, 59, 60]);
+});
+
+test('searchLogsPaged with a filter stops after maxScan events', async () => {
+  const client = stubClient({ count: 5000 });
+  const result = await client.searchLogsPaged('*', {
+    total: 100,
+    filter: event => Number(event.id) % 100 === 0,
+    maxScan: 2000
+  });
+
+  assert.deepEqual(ids(result), Array.from({ length: 20 }, (_, index) => 3100 + index * 100));
+  assert.equal(result.pagination.scanned, 2000);
+  assert.equal(result.pagination.scanLimitReached, true);
+  assert.equal(result.pagination.oldestId, '3001');
+});
+
+test('searchLogsPaged stops after maxPages calls', async () => {
+  const client = stubClient({ count: 100000 });
+  const result = await client.searchLogsPaged('*', { total: 10000, maxPages: 3 });
+
+  assert.equal(client.calls.length, 3);
+  assert.equal(result.events.length, 3000);
+});
+
+test('searchLogsPaged returns a failed page as is', async () => {
+  const client = stubClient({ count: 10 });
+  client.searchLogs = async () => ({ success: false, error: 'boom' });
+
+  assert.deepEqual(await client.searchLogsPaged('*', { total: 10 }), { success: false, error: 'boom' });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePatterns, isSignificant } from '../src/patternComparison.js';
+
+const events = (message, count) => Array.from({ length: count }, (_, index) => ({
+  id: String(index),
+  hostname: 'web-1',
+  program: 'app',
+  message
+}));
+
+const options = { scale: 1, minRatio: 2, minDelta: 5, top: 10 };
+
+test('needs both the ratio and the delta to be significant', () => {
+  assert.equal(isSignificant(25, 10, options), true);
+  assert.equal(isSignificant(6, 2, options), false);
+  assert.equal(isSignificant(110, 100, options), false);
+  assert.equal(isSignificant(0, 10, options), true);
+});
+
+test('reports new, gone and changed patterns past the threshold', () => {
+  const baseline = [...events('cache warm', 10), ...events('worker idle', 8), ...events('queue ok', 10)];
+  const observed = [...events('cache warm', 30), ...events('connection refused', 8), ...events('queue ok', 11)];
+  const result = comparePatterns(baseline, observed, options);
+
+  assert.deepEqual(result.newPatterns.map(change => change.pattern), ['connection refused']);
+  assert.deepEqual(result.gonePatterns.map(change => change.pattern), ['worker idle']);
+  assert.deepEqual(result.changedPatterns.map(change => [change.pattern, change.delta]), [['cache warm', 20]]);
+});
+
+test('leaves out new and gone patterns below minDelta', () => {
+  const result = comparePatterns(events('retrying once', 2), events('stray line', 1), options);
+
+  assert.deepEqual(result.newPatterns, []);
+  assert.deepEqual(result.gonePatterns, []);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Redactor, countsToRedactions, mergeRedactions, formatRedactions } from '../src/redactor.js';
+
+const detectors = ['email', 'credit_card', 'bearer_token', 'jwt', 'password', 'api_key'];
+
+function redactor(options = {}) {
+  return new Redactor({ enabled: true, detectors, customPatterns: '', secrets: [], ...options });
+}
+
+test('redacts values of the built-in detectors', () => {
+  const { text, counts } = redactor().redact(
+    'login ann@example.com password=hunter2 card 4111 1111 1111 1111 Authorization: Bearer abc.def'
+  );
+
+  assert.equal(text,
+    'login [REDACTED:email] password=[REDACTED:password] card [REDACTED:credit_card] Authorization: Bearer [REDACTED:bearer_token]');
+  assert.deepEqual(counts, { email: 1, password: 1, credit_card: 1, bearer_token: 1 });
+});
+
+test('leaves digit runs that fail the card checksum alone', () => {
+  const { text, counts } = redactor().redact('took 1700000000000 ms, order 4111111111111112');
+
+  assert.equal(text, 'took 1700000000000 ms, order 4111111111111112');
+  assert.deepEqual(counts, {});
+});
+
+test('applies custom patterns', () => {
+  const custom = redactor({ customPatterns: JSON.stringify([{ name: 'employee_id', pattern: 'EMP-\\d{6}' }]) });
+
+  assert.equal(custom.redact('user EMP-123456 logged in').text, 'user [REDACTED:employee_id] logged in');
+});
+
+test('removes API tokens even with redaction disabled', () => {
+  const disabled = redactor({ enabled: false, secrets: ['s3cr3t-token-value'] });
+  const { text, counts } = disabled.redact('GET /?token=s3cr3t-token-value password=hunter2');
+
+  assert.equal(text, 'GET /?token=[REDACTED:papertrail_token] password=hunter2');
+  assert.deepEqual(counts, { papertrail_token: 1 });
+});
+
+test('redactEvents copies only the events it changes and totals the counts', () => {
+  const events = [
+    { id: '1', message: 'user ann@example.com' },
+    { id: '2', message: 'healthy' },
+    { id: '3', message: 'pwd: x1 and bob@example.com' }
+  ];
+  const result = redactor().redactEvents(events);
+
+  assert.equal(result.events[1], events[1]);
+  assert.equal(events[0].message, 'user ann@example.com');
+  assert.equal(result.events[2].message, 'pwd: [REDACTED:password] and [REDACTED:email]');
+  assert.deepEqual(result.redactions, { total: 3, byRule: { email: 2, password: 1 } });
+});
+
+test('merges and formats redaction summaries', () => {
+  const merged = mergeRedactions(countsToRedactions({ email: 2 }), countsToRedactions({ email: 1, jwt: 1 }));
+
+  assert.deepEqual(merged, { total: 4, byRule: { email: 3, jwt: 1 } });
+  assert.equal(formatRedactions(merged), '🛡️ Redacted: 4 values (email: 3, jwt: 1)\n');
+  assert.equal(formatRedactions(countsToRedactions({})), '');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, parseTimeExpression, resolveTimeRange, startOfInterval } from '../src/timeParser.js';
+import { ERROR_CODES } from '../src/middleware/errorHandler.js';
+
+const now = new Date('2026-10-19T12:34:56Z');
+
+const parse = (expression, timezone = 'UTC') => parseTimeExpression(expression, { now, timezone })?.toISOString() ?? null;
+
+test('parses durations', () => {
+  assert.equal(parseDuration('15m'), 15 * 60 * 1000);
+  assert.equal(parseDuration('1.5d'), 36 * 60 * 60 * 1000);
+  assert.equal(parseDuration('3 days'), 3 * 24 * 60 * 60 * 1000);
+  assert.equal(parseDuration('soon'), null);
+});
+
+test('parses times relative to now', () => {
+  assert.equal(parse('now'), '2026-10-19T12:34:56.000Z');
+  assert.equal(parse('15m'), '2026-10-19T12:19:56.000Z');
+  assert.equal(parse('-2h'), '2026-10-19T10:34:56.000Z');
+  assert.equal(parse('now-1d'), '2026-10-18T12:34:56.000Z');
+  assert.equal(parse('2 hours ago'), '2026-10-19T10:34:56.000Z');
+});
+
+test('parses calendar expressions in the timezone', () => {
+  assert.equal(parse('today 09:00'), '2026-10-19T09:00:00.000Z');
+  assert.equal(parse('yesterday', 'Europe/Berlin'), '2026-10-17T22:00:00.000Z');
+  assert.equal(parse('last monday'), '2026-10-12T00:00:00.000Z');
+});
+
+test('reads absolute times without an offset in the timezone', () => {
+  assert.equal(parse('2026-07-01 10:00', 'Europe/Berlin'), '2026-07-01T08:00:00.000Z');
+  assert.equal(parse('2026-12-01T10:00:00Z', 'Europe/Berlin'), '2026-12-01T10:00:00.000Z');
+  assert.equal(parse('1760000000'), '2025-10-09T08:53:20.000Z');
+  assert.equal(parse('next tuesday'), null);
+});
+
+test('resolves a time range, defaulting maxTime to now', () => {
+  const range = resolveTimeRange({ minTime: '1h', timezone: 'UTC' }, { now });
+
+  assert.equal(range.minTime.toISOString(), '2026-10-19T11:34:56.000Z');
+  assert.equal(range.maxTime.toISOString(), '2026-10-19T12:34:56.000Z');
+  assert.deepEqual(range.input, { minTime: '1h', maxTime: null });
+});
+
+test('rejects bad time ranges', () => {
+  const invalid = { code: ERROR_CODES.INVALID_ARGUMENTS };
+
+  assert.throws(() => resolveTimeRange({ minTime: 'whenever' }, { now }), invalid);
+  assert.throws(() => resolveTimeRange({ minTime: '1h', maxTime: '2h' }, { now }), invalid);
+  assert.throws(() => resolveTimeRange({ timezone: 'Mars/Olympus' }, { now }), invalid);
+});
+
+test('finds interval starts in wall-clock time', () => {
+  const hour = 60 * 60 * 1000;
+  const start = (iso, intervalMs, timezone) => new Date(startOfInterval(new Date(iso), intervalMs, timezone)).toISOString();
+
+  assert.equal(start('2026-10-19T12:34:56Z', hour, 'UTC'), '2026-10-19T12:00:00.000Z');
+  assert.equal(start('2026-10-19T12:34:56Z', hour, 'Asia/Kolkata'), '2026-10-19T12:30:00.000Z');
+  assert.equal(start('2026-10-19T12:34:56Z', 24 * hour, 'America/New_York'), '2026-10-19T04:00:00.000Z');
+  // 02:00-03:00 happens twice in Berlin on 2026-10-25; each instant stays in its own hour
+  assert.equal(start('2026-10-25T00:30:00Z', hour, 'Europe/Berlin'), '2026-10-25T00:00:00.000Z');
+  assert.equal(start('2026-10-25T01:30:00Z', hour, 'Europe/Berlin'), '2026-10-25T01:00:00.000Z');
+});